@@ -1,32 +1,157 @@
 // Background script for data management and storage
+
+// Version of the stored settings shape; bump it together with a new SCHEMA_MIGRATIONS entry
+const SCHEMA_VERSION = 9;
+
+// Ordered migration steps. Each step upgrades settings to its `version` and must
+// tolerate any older shape, since data can arrive from old installs or old exports.
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Prompts array with id, name, content and created on every prompt',
+    migrate: (settings, manager) => ({
+      ...settings,
+      prompts: manager.validatePrompts(settings.prompts)
+    })
+  },
+  {
+    version: 2,
+    description: 'Prompts carry normalized tags and a pinned flag',
+    migrate: (settings, manager) => ({
+      ...settings,
+      prompts: settings.prompts.map(prompt => ({
+        ...prompt,
+        tags: manager.normalizeTags(prompt.tags),
+        pinned: Boolean(prompt.pinned)
+      }))
+    })
+  },
+  {
+    version: 3,
+    description: 'Prompt sort order and trash retention settings',
+    migrate: (settings) => ({
+      ...settings,
+      promptSortOrder: ['manual', 'alphabetical', 'frecency'].includes(settings.promptSortOrder)
+        ? settings.promptSortOrder
+        : 'frecency',
+      trashRetentionDays: Number(settings.trashRetentionDays) > 0 ? Number(settings.trashRetentionDays) : 30
+    })
+  },
+  {
+    version: 4,
+    description: 'Global placeholder syntax; prompts may override it',
+    migrate: (settings, manager) => ({
+      ...settings,
+      placeholderSyntax: PLACEHOLDER_SYNTAXES.includes(settings.placeholderSyntax) ? settings.placeholderSyntax : 'mixed',
+      prompts: settings.prompts.map(prompt => ({
+        ...prompt,
+        placeholderSyntax: manager.normalizePromptSyntax(prompt.placeholderSyntax)
+      }))
+    })
+  },
+  {
+    version: 5,
+    description: 'Placeholder value history setting',
+    migrate: (settings) => ({
+      ...settings,
+      placeholderHistory: ['off', 'global', 'prompt', 'site'].includes(settings.placeholderHistory)
+        ? settings.placeholderHistory
+        : 'global'
+    })
+  },
+  {
+    version: 6,
+    description: 'Global placeholder mode (form or inline); prompts may override it',
+    migrate: (settings, manager) => ({
+      ...settings,
+      placeholderMode: PLACEHOLDER_MODES.includes(settings.placeholderMode) ? settings.placeholderMode : 'form',
+      prompts: settings.prompts.map(prompt => ({
+        ...prompt,
+        placeholderMode: manager.normalizePromptMode(prompt.placeholderMode)
+      }))
+    })
+  },
+  {
+    version: 7,
+    description: 'Length limit for text pulled from the page by {{page:selector}}',
+    migrate: (settings) => ({
+      ...settings,
+      pageContentMaxLength: Number(settings.pageContentMaxLength) > 0 ? Number(settings.pageContentMaxLength) : 2000
+    })
+  },
+  {
+    version: 8,
+    description: 'Preview pane beside or below the dropdown list',
+    migrate: (settings) => ({
+      ...settings,
+      previewPane: ['off', 'side', 'bottom'].includes(settings.previewPane) ? settings.previewPane : 'off'
+    })
+  },
+  {
+    version: 9,
+    description: 'Separator between prompts inserted together',
+    migrate: (settings) => ({
+      ...settings,
+      multiPromptSeparator: typeof settings.multiPromptSeparator === 'string' ? settings.multiPromptSeparator : '\n\n'
+    })
+  }
+];
+
 class AIPromptManager {
   constructor() {
     this.defaultSettings = {
+      schemaVersion: SCHEMA_VERSION,
       hotkey: 'Ctrl+Shift+P',
       textTrigger: 'AI:',
       showInfoBar: true,
       showMouseButtons: true,
+      promptSortOrder: 'frecency', // 'manual', 'alphabetical' or 'frecency'
+      trashRetentionDays: 30,
+      placeholderSyntax: 'mixed', // see PLACEHOLDER_SYNTAXES in template.js
+      placeholderHistory: 'global', // Remember filled values: 'off', 'global', 'prompt' or 'site'
+      placeholderMode: 'form', // see PLACEHOLDER_MODES in template.js
+      pageContentMaxLength: 2000, // Characters kept from each {{page:selector}} extract
+      previewPane: 'off', // Full preview of the selected prompt: 'off', 'side' or 'bottom'
+      multiPromptSeparator: '\n\n', // Put between prompts selected together
       prompts: []
     };
+    // Prompts are sharded one per key so no single item hits the storage.sync per-item quota
+    this.STORAGE = {
+      SETTINGS_KEY: 'settings',
+      PROMPT_INDEX_KEY: 'promptIndex',
+      PROMPT_KEY_PREFIX: 'prompt:',
+      FALLBACK_KEY: 'storageFallback',
+      HISTORY_KEY_PREFIX: 'promptHistory:', // Always in storage.local, history is not synced
+      MAX_REVISIONS: 50,
+      USAGE_KEY: 'promptUsage', // Local only, written on every insertion
+      TRASH_KEY: 'promptTrash', // Local only, deleted prompts awaiting restore or purge
+      PLACEHOLDER_HISTORY_KEY: 'placeholderHistory', // Local only, recently filled placeholder values
+      MAX_PLACEHOLDER_VALUES: 10, // Per placeholder name and scope
+      MAX_PLACEHOLDER_VALUE_LENGTH: 2000, // Longer values (pasted documents, code) are not remembered
+      MAX_ITEM_BYTES: 8000, // storage.sync QUOTA_BYTES_PER_ITEM is 8192, keep some headroom
+      CONTENT_CHUNK_LENGTH: 1000 // Worst case ~6 bytes per char once JSON-escaped
+    };
+    this.storageWarning = null;
+    // Tail of the mutation queue; every read-modify-write runs after the previous one settles
+    this.mutationQueue = Promise.resolve();
     this.init();
   }
 
   async init() {
-    // Initialize default settings if not exists
-    // Try sync storage first, fallback to local storage for temporary addons
-    let result;
-    try {
-      result = await browser.storage.sync.get(['settings']);
-      this.storageArea = 'sync';
-    } catch (error) {
-      result = await browser.storage.local.get(['settings']);
-      this.storageArea = 'local';
-    }
-    
-    if (!result.settings) {
-      await this.saveSettings(this.defaultSettings);
-    }
-    
+    // Storage setup is the first queued mutation, so early messages wait for migrations
+    await this.mutate(async () => {
+      await this.selectStorageArea();
+      await this.migrateStoredSettings();
+
+      // Initialize default settings if not exists
+      const result = await this.getStorage().get([this.STORAGE.SETTINGS_KEY]);
+      if (!result.settings) {
+        await this.saveSettings(this.defaultSettings);
+      }
+
+      await this.purgeExpiredTrash();
+    });
+
     // Listen for command from hotkey
     browser.commands.onCommand.addListener((command) => {
       if (command === 'trigger-prompt-dropdown') {
@@ -53,14 +178,78 @@ class AIPromptManager {
     });
   }
 
+  async selectStorageArea() {
+    // Stay on local storage once sync has overflowed, otherwise try sync first
+    // and fall back to local storage for temporary addons
+    try {
+      const local = await browser.storage.local.get([this.STORAGE.FALLBACK_KEY]);
+      if (local.storageFallback) {
+        this.storageArea = 'local';
+        this.storageWarning = local.storageFallback.reason;
+        return;
+      }
+    } catch (error) {
+      // Local storage unavailable, try sync below
+    }
+
+    try {
+      await browser.storage.sync.get([this.STORAGE.SETTINGS_KEY]);
+      this.storageArea = 'sync';
+    } catch (error) {
+      this.storageArea = 'local';
+    }
+  }
+
+  getStorage() {
+    return this.storageArea === 'sync' ? browser.storage.sync : browser.storage.local;
+  }
+
+  // Rewrite stored data that uses the old single-key layout or an older schema version
+  async migrateStoredSettings() {
+    const result = await this.getStorage().get([this.STORAGE.SETTINGS_KEY]);
+    if (!result.settings) return;
+
+    // Older versions stored every prompt inside the single `settings` item
+    const isLegacyLayout = Array.isArray(result.settings.prompts);
+    const isOutdated = (Number(result.settings.schemaVersion) || 0) < SCHEMA_VERSION;
+    if (isLegacyLayout || isOutdated) {
+      const settings = await this.getSettings();
+      await this.saveSettings(this.migrateSettings(settings));
+    }
+  }
+
+  /**
+   * Run every migration step newer than the data's schemaVersion, in order. Prompts are
+   * validated first whatever the version claims, so the steps can rely on their shape.
+   * @param {Object} settings - Stored or imported settings; a missing schemaVersion means 0
+   * @returns {Object} Settings at SCHEMA_VERSION
+   */
+  migrateSettings(settings) {
+    const fromVersion = Number(settings.schemaVersion) || 0;
+    return SCHEMA_MIGRATIONS
+      .filter(step => step.version > fromVersion)
+      .reduce((migrated, step) => ({ ...step.migrate(migrated, this), schemaVersion: step.version }),
+        { ...settings, prompts: this.validatePrompts(settings.prompts) });
+  }
+
+  // Drop anything that is not a prompt with a name and content; give the rest an id and creation date
+  validatePrompts(prompts) {
+    return (Array.isArray(prompts) ? prompts : [])
+      .filter(prompt => prompt && typeof prompt.name === 'string' && typeof prompt.content === 'string')
+      .map(prompt => ({
+        ...prompt,
+        id: typeof prompt.id === 'string' && prompt.id ? prompt.id : this.generatePromptId(),
+        created: prompt.created || new Date().toISOString()
+      }));
+  }
+
   async handleSaveAsPrompt(selectedText) {
     if (!selectedText || selectedText.trim().length === 0) {
       return;
     }
 
     // Store the selected text temporarily
-    const storage = this.storageArea === 'sync' ? browser.storage.sync : browser.storage.local;
-    await storage.set({ 
+    await this.getStorage().set({ 
       pendingPrompt: {
         content: selectedText.trim(),
         timestamp: Date.now()
@@ -85,46 +274,543 @@ class AIPromptManager {
   }
 
   async getSettings() {
-    const storage = this.storageArea === 'sync' ? browser.storage.sync : browser.storage.local;
-    const result = await storage.get(['settings']);
-    return result.settings || this.defaultSettings;
+    const items = await this.getStorage().get(null);
+    if (!items.settings) {
+      return { ...this.defaultSettings, prompts: [] };
+    }
+    return this.deserializeSettings(items);
+  }
+
+  /**
+   * Run a read-modify-write operation after all previously queued ones, so concurrent
+   * messages from the options page, content scripts and context menu cannot lose updates
+   * @param {Function} operation - Async function performing the mutation
+   * @returns {Promise} Result of the operation
+   */
+  mutate(operation) {
+    const run = this.mutationQueue.then(operation);
+    // Keep the queue going even when an operation fails
+    this.mutationQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Reject writes based on settings or a prompt older than what is stored (expectedRevision
+  // is optional). Settings and each prompt count their own revisions, so unrelated changes
+  // made elsewhere do not conflict.
+  assertRevision(stored, expectedRevision) {
+    if (typeof expectedRevision === 'number' && (stored.revision || 0) !== expectedRevision) {
+      const error = new Error('Prompts or settings were changed in another window');
+      error.code = 'STALE_REVISION';
+      throw error;
+    }
   }
 
   async saveSettings(settings) {
-    const storage = this.storageArea === 'sync' ? browser.storage.sync : browser.storage.local;
-    await storage.set({ settings });
+    const storage = this.getStorage();
+    const existing = await storage.get(null);
+    const items = this.serializeSettings(settings);
+
+    // Only write items that actually changed, and drop shards of removed prompts
+    const changed = {};
+    Object.keys(items).forEach(key => {
+      if (JSON.stringify(existing[key]) !== JSON.stringify(items[key])) {
+        changed[key] = items[key];
+      }
+    });
+    const staleKeys = Object.keys(existing).filter(key =>
+      key.startsWith(this.STORAGE.PROMPT_KEY_PREFIX) && !(key in items)
+    );
+
+    try {
+      if (Object.keys(changed).length > 0) {
+        await storage.set(changed);
+      }
+      if (staleKeys.length > 0) {
+        await storage.remove(staleKeys);
+      }
+    } catch (error) {
+      if (this.storageArea !== 'sync' || !/quota/i.test(error.message || '')) {
+        throw error;
+      }
+      await this.fallbackToLocalStorage(items);
+    }
+
     // Notify content scripts of settings update
     this.broadcastSettingsUpdate(settings);
+    return settings;
+  }
+
+  async fallbackToLocalStorage(items) {
+    const reason = 'Your prompt library exceeds the browser sync quota. ' +
+      'Prompts are now saved locally on this device and will no longer sync.';
+    const pending = await browser.storage.sync.get(['pendingPrompt']);
+    await browser.storage.local.set({
+      ...items,
+      ...pending,
+      [this.STORAGE.FALLBACK_KEY]: { reason, since: new Date().toISOString() }
+    });
+    this.storageArea = 'local';
+    this.storageWarning = reason;
+  }
+
+  getStorageStatus() {
+    return { area: this.storageArea, warning: this.storageWarning };
+  }
+
+  // Split settings into a prompt-free `settings` item, an ordered id index and one item per prompt
+  serializeSettings(settings) {
+    const { prompts = [], ...meta } = settings;
+    const items = {
+      [this.STORAGE.SETTINGS_KEY]: meta,
+      [this.STORAGE.PROMPT_INDEX_KEY]: prompts.map(prompt => prompt.id)
+    };
+    prompts.forEach(prompt => Object.assign(items, this.serializePrompt(prompt)));
+    return items;
+  }
+
+  serializePrompt(prompt) {
+    const key = this.STORAGE.PROMPT_KEY_PREFIX + prompt.id;
+    if (this.getItemBytes(key, prompt) <= this.STORAGE.MAX_ITEM_BYTES) {
+      return { [key]: prompt };
+    }
+
+    // Too large for one item: store content in numbered chunks next to the prompt
+    const { content = '', ...rest } = prompt;
+    const chunkLength = this.STORAGE.CONTENT_CHUNK_LENGTH;
+    const chunkCount = Math.ceil(content.length / chunkLength);
+    const items = { [key]: { ...rest, contentChunks: chunkCount } };
+    for (let i = 0; i < chunkCount; i++) {
+      items[`${key}:${i}`] = content.slice(i * chunkLength, (i + 1) * chunkLength);
+    }
+    return items;
+  }
+
+  deserializeSettings(items) {
+    const meta = items[this.STORAGE.SETTINGS_KEY];
+    // Legacy single-key layout that has not been migrated yet
+    if (Array.isArray(meta.prompts)) {
+      return meta;
+    }
+
+    const ids = items[this.STORAGE.PROMPT_INDEX_KEY] || [];
+    const prompts = ids.map(id => this.deserializePrompt(items, id)).filter(Boolean);
+    return { ...meta, prompts };
+  }
+
+  deserializePrompt(items, id) {
+    const key = this.STORAGE.PROMPT_KEY_PREFIX + id;
+    const stored = items[key];
+    if (!stored) return null;
+    if (typeof stored.contentChunks !== 'number') return stored;
+
+    const { contentChunks, ...rest } = stored;
+    let content = '';
+    for (let i = 0; i < contentChunks; i++) {
+      content += items[`${key}:${i}`] || '';
+    }
+    return { ...rest, content };
+  }
+
+  getItemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  generatePromptId() {
+    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+  }
+
+  // Apply settings fields only; prompts are changed through their own operations
+  async updateSettings(changes, expectedRevision) {
+    const settings = await this.getSettings();
+    this.assertRevision(settings, expectedRevision);
+
+    const { prompts, revision, schemaVersion, ...fields } = changes || {};
+    const saved = await this.saveSettings({ ...settings, ...fields, revision: (settings.revision || 0) + 1 });
+
+    // Turning history off also forgets what was remembered
+    if (saved.placeholderHistory === 'off') {
+      await this.clearPlaceholderHistory();
+    }
+    return saved;
   }
 
   async addPrompt(prompt) {
     const settings = await this.getSettings();
     const newPrompt = {
-      id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+      id: this.generatePromptId(),
       name: prompt.name,
       content: prompt.content,
+      tags: this.normalizeTags(prompt.tags),
+      pinned: Boolean(prompt.pinned),
+      placeholderSyntax: this.normalizePromptSyntax(prompt.placeholderSyntax),
+      placeholderMode: this.normalizePromptMode(prompt.placeholderMode),
       created: new Date().toISOString()
     };
     settings.prompts.push(newPrompt);
     await this.saveSettings(settings);
+    await this.recordRevision(newPrompt, newPrompt.created);
     return newPrompt;
   }
 
-  async updatePrompt(id, updatedPrompt) {
+  async updatePrompt(id, updatedPrompt, expectedRevision) {
     const settings = await this.getSettings();
     const index = settings.prompts.findIndex(p => p.id === id);
     if (index !== -1) {
-      settings.prompts[index] = { ...settings.prompts[index], ...updatedPrompt };
+      const previous = settings.prompts[index];
+      this.assertRevision(previous, expectedRevision);
+
+      // Pinning is a one-click toggle from anywhere and never conflicts with an edit
+      const { revision, ...changes } = updatedPrompt;
+      const pinOnly = Object.keys(changes).every(key => key === 'pinned');
+      settings.prompts[index] = { ...previous, ...changes, revision: (previous.revision || 0) + (pinOnly ? 0 : 1) };
+      if (updatedPrompt.tags !== undefined) {
+        settings.prompts[index].tags = this.normalizeTags(updatedPrompt.tags);
+      }
+      if (updatedPrompt.placeholderSyntax !== undefined) {
+        settings.prompts[index].placeholderSyntax = this.normalizePromptSyntax(updatedPrompt.placeholderSyntax);
+      }
+      if (updatedPrompt.placeholderMode !== undefined) {
+        settings.prompts[index].placeholderMode = this.normalizePromptMode(updatedPrompt.placeholderMode);
+      }
       await this.saveSettings(settings);
+      await this.recordEditRevision(previous, settings.prompts[index]);
       return settings.prompts[index];
     }
     throw new Error('Prompt not found');
   }
 
+  async recordEditRevision(previous, updated) {
+    // Prompts created before history existed get their original text as the first revision
+    const history = await this.getPromptHistory(previous.id);
+    if (history.length === 0) {
+      await this.recordRevision(previous, previous.created);
+    }
+    await this.recordRevision(updated);
+  }
+
+  async getPromptHistory(id) {
+    const key = this.STORAGE.HISTORY_KEY_PREFIX + id;
+    const result = await browser.storage.local.get([key]);
+    return Array.isArray(result[key]) ? result[key] : [];
+  }
+
+  // Append a {timestamp, name, content} snapshot unless the text is unchanged since the last one
+  async recordRevision(prompt, timestamp = new Date().toISOString()) {
+    const key = this.STORAGE.HISTORY_KEY_PREFIX + prompt.id;
+    const history = await this.getPromptHistory(prompt.id);
+    const last = history[history.length - 1];
+    if (last && last.name === prompt.name && last.content === prompt.content) {
+      return;
+    }
+    history.push({ timestamp, name: prompt.name, content: prompt.content });
+    await browser.storage.local.set({ [key]: history.slice(-this.STORAGE.MAX_REVISIONS) });
+  }
+
+  // Restoring goes through updatePrompt so the restored text becomes a new revision
+  async restorePromptRevision(id, revisionIndex) {
+    const history = await this.getPromptHistory(id);
+    const revision = history[revisionIndex];
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+    return await this.updatePrompt(id, { name: revision.name, content: revision.content });
+  }
+
+  // Imported files go through the same migrations as stored data before being compared.
+  // Their schemaVersion only picks the migrations: a file can claim any version, so every
+  // prompt field is normalized again afterwards.
+  getImportedPrompts(importData) {
+    if (!importData || !Array.isArray(importData.prompts)) {
+      throw new Error('Invalid file format: prompts array not found');
+    }
+
+    // Exports made before schemaVersion existed have none and run every migration
+    const migrated = this.migrateSettings({
+      schemaVersion: importData.schemaVersion,
+      prompts: importData.prompts
+    });
+
+    if (migrated.prompts.length === 0) {
+      throw new Error('No valid prompts found in file');
+    }
+    return migrated.prompts.map(prompt => this.normalizePrompt(prompt));
+  }
+
+  /**
+   * Classify each imported prompt against the library: 'new', 'identical' (same name
+   * and content) or 'conflict' (same name, different content). Names compare
+   * case-insensitively, and earlier prompts from the same file count as existing.
+   * @param {Array} existingPrompts - Current library
+   * @param {Array} importedPrompts - Migrated prompts from the file
+   * @returns {Array<{prompt: Object, status: string, match: Object|null}>}
+   */
+  classifyImport(existingPrompts, importedPrompts) {
+    const byName = new Map(existingPrompts.map(prompt => [prompt.name.toLowerCase(), prompt]));
+    return importedPrompts.map(prompt => {
+      const key = prompt.name.toLowerCase();
+      const match = byName.get(key) || null;
+      if (!match) {
+        byName.set(key, prompt);
+        return { prompt, status: 'new', match };
+      }
+      return { prompt, status: match.content === prompt.content ? 'identical' : 'conflict', match };
+    });
+  }
+
+  async previewImport(importData) {
+    const settings = await this.getSettings();
+    const classified = this.classifyImport(settings.prompts, this.getImportedPrompts(importData));
+    const summarize = (status) => classified
+      .filter(item => item.status === status)
+      .map(item => ({ name: item.prompt.name, existingName: item.match ? item.match.name : null }));
+
+    return {
+      new: summarize('new'),
+      identical: summarize('identical'),
+      conflicts: summarize('conflict')
+    };
+  }
+
+  /**
+   * Apply an import. New prompts are always added and identical ones always skipped;
+   * `strategy` decides conflicts: 'skip' keeps the existing prompt, 'overwrite' replaces
+   * its content, tags and placeholder settings (recorded in its history), 'keepBoth' adds the import with a
+   * numbered name suffix.
+   * @returns {Object} Summary counts { added, overwritten, renamed, skipped }
+   */
+  async importPrompts(importData, strategy = 'skip') {
+    if (!['skip', 'overwrite', 'keepBoth'].includes(strategy)) {
+      const error = new Error(`Unknown import strategy: ${strategy}`);
+      error.code = 'INVALID_STRATEGY';
+      throw error;
+    }
+    const importedPrompts = this.getImportedPrompts(importData);
+    const settings = await this.getSettings();
+    const summary = { added: 0, overwritten: 0, renamed: 0, skipped: 0 };
+    const overwritten = [];
+    const created = new Date().toISOString();
+
+    // Assign new IDs and timestamps to imported prompts
+    const addPrompt = (prompt, name) => {
+      settings.prompts.push({
+        id: this.generatePromptId(),
+        name,
+        content: prompt.content,
+        tags: prompt.tags,
+        pinned: prompt.pinned,
+        placeholderSyntax: prompt.placeholderSyntax,
+        placeholderMode: prompt.placeholderMode,
+        created
+      });
+    };
+
+    importedPrompts.forEach(prompt => {
+      // Classify one at a time so earlier additions from this file are taken into account
+      const [{ status }] = this.classifyImport(settings.prompts, [prompt]);
+      const match = settings.prompts.find(p => p.name.toLowerCase() === prompt.name.toLowerCase());
+
+      if (status === 'new') {
+        addPrompt(prompt, prompt.name);
+        summary.added++;
+      } else if (status === 'identical' || strategy === 'skip') {
+        summary.skipped++;
+      } else if (strategy === 'overwrite') {
+        const index = settings.prompts.indexOf(match);
+        const updated = {
+          ...match,
+          content: prompt.content,
+          tags: prompt.tags,
+          placeholderSyntax: prompt.placeholderSyntax,
+          placeholderMode: prompt.placeholderMode,
+          revision: (match.revision || 0) + 1
+        };
+        overwritten.push({ previous: match, updated });
+        settings.prompts[index] = updated;
+        summary.overwritten++;
+      } else {
+        addPrompt(prompt, this.getUniqueName(settings.prompts, prompt.name));
+        summary.renamed++;
+      }
+    });
+
+    await this.saveSettings(settings);
+    for (const { previous, updated } of overwritten) {
+      await this.recordEditRevision(previous, updated);
+    }
+    return summary;
+  }
+
+  // "Name" -> "Name (2)", "Name (3)", ... whichever is free
+  getUniqueName(prompts, name) {
+    const taken = new Set(prompts.map(prompt => prompt.name.toLowerCase()));
+    let suffix = 2;
+    while (taken.has(`${name} (${suffix})`.toLowerCase())) {
+      suffix++;
+    }
+    return `${name} (${suffix})`;
+  }
+
+  // Prompt fields in their stored form, whatever shape they arrived in
+  normalizePrompt(prompt) {
+    return {
+      ...prompt,
+      tags: this.normalizeTags(prompt.tags),
+      pinned: Boolean(prompt.pinned),
+      placeholderSyntax: this.normalizePromptSyntax(prompt.placeholderSyntax),
+      placeholderMode: this.normalizePromptMode(prompt.placeholderMode)
+    };
+  }
+
+  // Per-prompt placeholder syntax; '' means the prompt follows the global setting
+  normalizePromptSyntax(syntax) {
+    return PLACEHOLDER_SYNTAXES.includes(syntax) ? syntax : '';
+  }
+
+  // Per-prompt placeholder mode; '' means the prompt follows the global setting
+  normalizePromptMode(mode) {
+    return PLACEHOLDER_MODES.includes(mode) ? mode : '';
+  }
+
+  // Tags are stored lowercase without the leading '#', deduplicated
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const normalized = tags
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase())
+      .filter(tag => tag.length > 0);
+    return [...new Set(normalized)];
+  }
+
+  // Deleting moves the prompt to the trash; history and usage are kept until it is purged
   async deletePrompt(id) {
     const settings = await this.getSettings();
-    settings.prompts = settings.prompts.filter(p => p.id !== id);
+    const index = settings.prompts.findIndex(p => p.id === id);
+    if (index === -1) {
+      throw new Error('Prompt not found');
+    }
+
+    const [prompt] = settings.prompts.splice(index, 1);
+    const trash = await this.getTrash();
+    trash.push({ ...prompt, deletedAt: new Date().toISOString(), originalIndex: index });
+    await browser.storage.local.set({ [this.STORAGE.TRASH_KEY]: trash });
     await this.saveSettings(settings);
+    return prompt;
+  }
+
+  async getTrash() {
+    const result = await browser.storage.local.get([this.STORAGE.TRASH_KEY]);
+    return Array.isArray(result[this.STORAGE.TRASH_KEY]) ? result[this.STORAGE.TRASH_KEY] : [];
+  }
+
+  async restoreFromTrash(id) {
+    const trash = await this.getTrash();
+    const item = trash.find(p => p.id === id);
+    if (!item) {
+      throw new Error('Prompt not found in trash');
+    }
+
+    const { deletedAt, originalIndex, ...prompt } = item;
+    const settings = await this.getSettings();
+    const position = Math.min(typeof originalIndex === 'number' ? originalIndex : settings.prompts.length, settings.prompts.length);
+    settings.prompts.splice(position, 0, prompt);
+    await this.saveSettings(settings);
+    await browser.storage.local.set({ [this.STORAGE.TRASH_KEY]: trash.filter(p => p.id !== id) });
+    return prompt;
+  }
+
+  // Permanently remove trashed prompts along with their history and usage
+  async purgeFromTrash(ids) {
+    const trash = await this.getTrash();
+    const remaining = trash.filter(p => !ids.includes(p.id));
+    await browser.storage.local.set({ [this.STORAGE.TRASH_KEY]: remaining });
+    await browser.storage.local.remove(ids.map(id => this.STORAGE.HISTORY_KEY_PREFIX + id));
+
+    const usage = await this.getPromptUsage();
+    if (ids.some(id => usage[id])) {
+      ids.forEach(id => delete usage[id]);
+      await browser.storage.local.set({ [this.STORAGE.USAGE_KEY]: usage });
+    }
+
+    const result = await browser.storage.local.get([this.STORAGE.PLACEHOLDER_HISTORY_KEY]);
+    const history = result[this.STORAGE.PLACEHOLDER_HISTORY_KEY] || {};
+    if (ids.some(id => history[`prompt:${id}`])) {
+      ids.forEach(id => delete history[`prompt:${id}`]);
+      await browser.storage.local.set({ [this.STORAGE.PLACEHOLDER_HISTORY_KEY]: history });
+    }
+  }
+
+  async emptyTrash() {
+    const trash = await this.getTrash();
+    await this.purgeFromTrash(trash.map(p => p.id));
+  }
+
+  async purgeExpiredTrash() {
+    const settings = await this.getSettings();
+    const days = Number(settings.trashRetentionDays) || this.defaultSettings.trashRetentionDays;
+    const cutoff = Date.now() - days * 86400000;
+    const trash = await this.getTrash();
+    const expired = trash.filter(p => new Date(p.deletedAt).getTime() < cutoff).map(p => p.id);
+    if (expired.length > 0) {
+      await this.purgeFromTrash(expired);
+    }
+  }
+
+  async getPromptUsage() {
+    const result = await browser.storage.local.get([this.STORAGE.USAGE_KEY]);
+    return result[this.STORAGE.USAGE_KEY] || {};
+  }
+
+  // Usage per prompt: { count, lastUsed, sites: { hostname: count } }
+  async recordPromptUsage(id, hostname) {
+    const usage = await this.getPromptUsage();
+    const entry = usage[id] || { count: 0, lastUsed: null, sites: {} };
+    entry.count++;
+    entry.lastUsed = new Date().toISOString();
+    if (hostname) {
+      entry.sites[hostname] = (entry.sites[hostname] || 0) + 1;
+    }
+    usage[id] = entry;
+    await browser.storage.local.set({ [this.STORAGE.USAGE_KEY]: usage });
+    this.broadcastMessage({ action: 'usageUpdated', usage });
+    return entry;
+  }
+
+  /**
+   * Remembered placeholder values for one scope: 'global', 'prompt:<id>' or 'site:<hostname>'
+   * @returns {Promise<Object>} { placeholderName: [values, most recent first] }
+   */
+  async getPlaceholderHistory(scope) {
+    const result = await browser.storage.local.get([this.STORAGE.PLACEHOLDER_HISTORY_KEY]);
+    const history = result[this.STORAGE.PLACEHOLDER_HISTORY_KEY] || {};
+    return history[scope] || {};
+  }
+
+  // Move each value to the front of its placeholder's list, keeping the most recent few
+  async recordPlaceholderValues(scope, values) {
+    const settings = await this.getSettings();
+    if (settings.placeholderHistory === 'off') {
+      return {};
+    }
+
+    const result = await browser.storage.local.get([this.STORAGE.PLACEHOLDER_HISTORY_KEY]);
+    const history = result[this.STORAGE.PLACEHOLDER_HISTORY_KEY] || {};
+    const scoped = history[scope] || {};
+
+    Object.entries(values || {}).forEach(([name, value]) => {
+      if (typeof value !== 'string' || !value.trim() || value.length > this.STORAGE.MAX_PLACEHOLDER_VALUE_LENGTH) {
+        return;
+      }
+      const previous = (scoped[name] || []).filter(existing => existing !== value);
+      scoped[name] = [value, ...previous].slice(0, this.STORAGE.MAX_PLACEHOLDER_VALUES);
+    });
+
+    history[scope] = scoped;
+    await browser.storage.local.set({ [this.STORAGE.PLACEHOLDER_HISTORY_KEY]: history });
+    return scoped;
+  }
+
+  async clearPlaceholderHistory() {
+    await browser.storage.local.remove(this.STORAGE.PLACEHOLDER_HISTORY_KEY);
   }
 
   async triggerPromptDropdown() {
@@ -141,18 +827,22 @@ class AIPromptManager {
 
   async broadcastSettingsUpdate(settings) {
     // Notify all content scripts of settings update
+    await this.broadcastMessage({ 
+      action: 'settingsUpdated', 
+      settings 
+    });
+  }
+
+  async broadcastMessage(message) {
     try {
       const tabs = await browser.tabs.query({});
       tabs.forEach(tab => {
-        browser.tabs.sendMessage(tab.id, { 
-          action: 'settingsUpdated', 
-          settings 
-        }).catch(() => {
+        browser.tabs.sendMessage(tab.id, message).catch(() => {
           // Ignore errors for tabs that don't have content script
         });
       });
     } catch (error) {
-      // Error broadcasting settings update
+      // Error broadcasting message
     }
   }
 }
@@ -167,38 +857,91 @@ browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
       case 'getSettings':
         return await promptManager.getSettings();
       
-      case 'saveSettings':
-        await promptManager.saveSettings(message.settings);
-        return { success: true };
-      
+      case 'updateSettings':
+        return await promptManager.mutate(() =>
+          promptManager.updateSettings(message.settings, message.expectedRevision)
+        );
+
       case 'addPrompt':
-        return await promptManager.addPrompt(message.prompt);
-      
+        return await promptManager.mutate(() => promptManager.addPrompt(message.prompt));
+
       case 'updatePrompt':
-        return await promptManager.updatePrompt(message.id, message.prompt);
-      
+        return await promptManager.mutate(() =>
+          promptManager.updatePrompt(message.id, message.prompt, message.expectedRevision)
+        );
+
       case 'deletePrompt':
-        await promptManager.deletePrompt(message.id);
+        await promptManager.mutate(() => promptManager.deletePrompt(message.id));
         return { success: true };
-      
+
+      case 'getTrash':
+        await promptManager.mutate(() => promptManager.purgeExpiredTrash());
+        return await promptManager.getTrash();
+
+      case 'restoreFromTrash':
+        return await promptManager.mutate(() => promptManager.restoreFromTrash(message.id));
+
+      case 'purgeFromTrash':
+        await promptManager.mutate(() => promptManager.purgeFromTrash([message.id]));
+        return { success: true };
+
+      case 'emptyTrash':
+        await promptManager.mutate(() => promptManager.emptyTrash());
+        return { success: true };
+
+      case 'previewImport':
+        return await promptManager.previewImport(message.data);
+
+      case 'importPrompts':
+        return await promptManager.mutate(() => promptManager.importPrompts(message.data, message.strategy));
+
+      case 'getPromptHistory':
+        return await promptManager.getPromptHistory(message.id);
+
+      case 'restorePromptRevision':
+        return await promptManager.mutate(() =>
+          promptManager.restorePromptRevision(message.id, message.revisionIndex)
+        );
+
+      case 'getPromptUsage':
+        return await promptManager.getPromptUsage();
+
+      case 'recordPromptUsage':
+        return await promptManager.mutate(() =>
+          promptManager.recordPromptUsage(message.id, message.hostname)
+        );
+
+      case 'getPlaceholderHistory':
+        return await promptManager.getPlaceholderHistory(message.scope);
+
+      case 'recordPlaceholderValues':
+        return await promptManager.mutate(() =>
+          promptManager.recordPlaceholderValues(message.scope, message.values)
+        );
+
+      case 'clearPlaceholderHistory':
+        await promptManager.mutate(() => promptManager.clearPlaceholderHistory());
+        return { success: true };
+
       case 'getPrompts':
         const settings = await promptManager.getSettings();
         return settings.prompts;
       
       case 'getPendingPrompt':
-        const storage = promptManager.storageArea === 'sync' ? browser.storage.sync : browser.storage.local;
-        const result = await storage.get(['pendingPrompt']);
+        const result = await promptManager.getStorage().get(['pendingPrompt']);
         return result.pendingPrompt || null;
       
       case 'clearPendingPrompt':
-        const storageForClear = promptManager.storageArea === 'sync' ? browser.storage.sync : browser.storage.local;
-        await storageForClear.remove(['pendingPrompt']);
+        await promptManager.getStorage().remove(['pendingPrompt']);
         return { success: true };
+
+      case 'getStorageStatus':
+        return promptManager.getStorageStatus();
       
       default:
         throw new Error(`Unknown action: ${message.action}`);
     }
   } catch (error) {
-    return { error: error.message };
+    return { error: error.message, code: error.code };
   }
 });
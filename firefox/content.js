@@ -37,6 +37,10 @@ const setupPreactComponents = () => {
     onPlaceholderNavigate, 
     onInsertPrompt, 
     onExitPlaceholder, 
+    suggestions = [],
+    suggestionIndex = -1,
+    onSuggestionPick,
+    placeholderErrors = {},
     selectedPrompt = {},
     settings = {}
   }) => {
@@ -44,6 +48,63 @@ const setupPreactComponents = () => {
     if (!h || !onPlaceholderChange || !onPlaceholderNavigate || !onInsertPrompt || !onExitPlaceholder) {
       return null;
     }
+
+    // Remembered values for the focused field; mousedown keeps focus in the input
+    const renderSuggestions = () => suggestions.length > 0 && h('div', { className: 'placeholder-suggestions' },
+      suggestions.map((suggestion, index) =>
+        h('div', {
+          key: suggestion,
+          className: `placeholder-suggestion ${index === suggestionIndex ? 'selected' : ''}`,
+          title: suggestion,
+          onMouseDown: (e) => {
+            e.preventDefault();
+            if (onSuggestionPick) onSuggestionPick(suggestion);
+          }
+        }, suggestion.replace(/\s+/g, ' '))
+      )
+    );
+
+    // Every control carries the placeholder-input class, which keyboard handling relies on
+    const renderPlaceholderControl = (placeholder, index) => {
+      const commonProps = {
+        className: `placeholder-input placeholder-input-${placeholder.type || 'line'} ${placeholderErrors[placeholder.name] ? 'invalid' : ''}`,
+        'aria-invalid': placeholderErrors[placeholder.name] ? 'true' : 'false',
+        'aria-required': placeholder.required ? 'true' : 'false',
+        value: placeholderValues[placeholder.name] || '',
+        'data-placeholder-name': placeholder.name,
+        'data-placeholder-index': index,
+        onInput: (e) => onPlaceholderChange(placeholder.name, e.target.value),
+        onFocus: () => onPlaceholderNavigate(index)
+      };
+
+      switch (placeholder.type) {
+        case 'select':
+          return h('select', { ...commonProps, onChange: commonProps.onInput },
+            placeholder.options.map(option => h('option', { key: option, value: option }, option))
+          );
+
+        case 'text':
+          return h('textarea', {
+            ...commonProps,
+            rows: 3,
+            placeholder: placeholder.defaultValue || 'Enter text...'
+          });
+
+        case 'number':
+        case 'date':
+          return h('input', { ...commonProps, type: placeholder.type });
+
+        default:
+          return h('input', {
+            ...commonProps,
+            type: 'text',
+            placeholder: placeholder.defaultValue || 'Enter value...'
+          });
+      }
+    };
+
+    const hasMultilineField = placeholders.some(placeholder => placeholder.type === 'text');
+    const hasErrors = Object.keys(placeholderErrors).length > 0;
     
     return h('div', { className: 'ai-prompt-dropdown placeholder-mode' },
       h('div', { className: 'ai-scroll' },
@@ -75,17 +136,15 @@ const setupPreactComponents = () => {
               key: placeholder.name,
               className: `placeholder-field ${index === currentPlaceholderIndex ? 'active' : ''}`
             },
-              h('div', { className: 'placeholder-label' }, placeholder.name),
-              h('input', {
-                type: 'text',
-                className: 'placeholder-input',
-                value: placeholderValues[placeholder.name] || '',
-                placeholder: placeholder.defaultValue || 'Enter value...',
-                'data-placeholder-name': placeholder.name,
-                'data-placeholder-index': index,
-                onInput: (e) => onPlaceholderChange(placeholder.name, e.target.value),
-                onFocus: () => onPlaceholderNavigate(index)
-              })
+              h('div', { className: 'placeholder-label' },
+                placeholder.label || placeholder.name,
+                placeholder.required && h('span', { className: 'placeholder-required', title: 'Required' }, ' *')
+              ),
+              h('div', { className: 'placeholder-control' },
+                renderPlaceholderControl(placeholder, index),
+                placeholderErrors[placeholder.name] && h('div', { className: 'placeholder-error' }, placeholderErrors[placeholder.name]),
+                index === currentPlaceholderIndex && renderSuggestions()
+              )
             )
           )
         ),
@@ -94,13 +153,16 @@ const setupPreactComponents = () => {
         settings?.showMouseButtons !== false && h('div', { className: 'placeholder-actions' },
           h('button', {
             className: 'placeholder-insert-btn',
+            disabled: hasErrors,
+            title: hasErrors ? 'Fix the marked fields first' : '',
             onClick: onInsertPrompt
           }, 'Insert')
         ),
         
         // Instructions
         settings?.showInfoBar !== false && h('div', { className: 'placeholder-instructions' },
-          'Tab/Shift+Tab or ↑/↓ to navigate • Enter to insert • Esc to go back'
+          'Tab/Shift+Tab or ↑/↓ to navigate • Enter to insert • Esc to go back' +
+            (hasMultilineField ? ' • Ctrl+Enter to insert from multi-line fields' : '')
         )
       )
     );
@@ -120,8 +182,27 @@ const setupPreactComponents = () => {
     onPlaceholderNavigate,
     onInsertPrompt,
     onExitPlaceholder,
+    suggestions = [],
+    suggestionIndex = -1,
+    onSuggestionPick,
+    placeholderErrors = {},
     onFilterChange,
     filterValue = '',
+    promptError = null,
+    searchMatches = {},
+    promptSearch = null,
+    scrollTop = 0,
+    viewportHeight = 300,
+    itemHeight = 46,
+    overscan = 5,
+    onListScroll,
+    previewPlacement = null,
+    previewTemplate = null,
+    promptUsage = {},
+    hostname = '',
+    multiSelection = [],
+    onToggleSelect,
+    formTitle = '',
     settings = {} 
   }) => {
     // Safety checks
@@ -138,38 +219,129 @@ const setupPreactComponents = () => {
         onPlaceholderNavigate,
         onInsertPrompt,
         onExitPlaceholder,
-        selectedPrompt: prompts[selectedIndex],
+        suggestions,
+        suggestionIndex,
+        onSuggestionPick,
+        placeholderErrors,
+        selectedPrompt: formTitle ? { name: formTitle } : prompts[selectedIndex],
         settings
       });
     }
 
+    // Text with the matched [start, end) ranges wrapped in <mark>
+    const highlight = (text, ranges = []) => {
+      const parts = [];
+      let position = 0;
+      ranges.forEach(([start, end]) => {
+        if (start > position) parts.push(text.slice(position, start));
+        parts.push(h('mark', { className: 'ai-match' }, text.slice(start, end)));
+        position = end;
+      });
+      parts.push(text.slice(position));
+      return parts;
+    };
+
+    const renderPreview = (prompt) => {
+      const matches = searchMatches[prompt?.id] || {};
+      if (!promptSearch) {
+        return prompt?.content || '';
+      }
+      const excerpt = promptSearch.excerpt(prompt?.content || '', matches.content);
+      return highlight(excerpt.text, excerpt.ranges);
+    };
+
+    // Full content of the selected prompt with its fields marked, plus tags and usage
+    const renderPreviewPane = () => {
+      const prompt = prompts[selectedIndex];
+      if (!previewPlacement || !prompt) {
+        return null;
+      }
+
+      const usage = promptUsage[prompt.id];
+      const siteCount = (hostname && usage?.sites?.[hostname]) || 0;
+      const usageText = usage?.count
+        ? [
+          `Used ${usage.count} time${usage.count === 1 ? '' : 's'}`,
+          siteCount > 0 && `${siteCount} on this site`,
+          usage.lastUsed && `last ${new Date(usage.lastUsed).toLocaleDateString()}`
+        ].filter(Boolean).join(' · ')
+        : 'Not used yet';
+
+      const content = previewTemplate
+        ? previewTemplate.tokens.map(token => {
+          if (token.kind === 'text') return token.value;
+          const className = token.kind === 'placeholder' ? 'ai-preview-placeholder' : 'ai-preview-variable';
+          return h('mark', { className }, token.raw);
+        })
+        : prompt.content;
+
+      return h('div', { className: 'ai-preview-pane' },
+        h('div', { className: 'ai-preview-name' }, prompt.name || 'Unnamed'),
+        Array.isArray(prompt.tags) && prompt.tags.length > 0 && h('div', { className: 'ai-preview-tags' },
+          prompt.tags.map(tag => `#${tag}`).join(' ')
+        ),
+        h('div', { className: 'ai-preview-usage' }, usageText),
+        h('div', { className: 'ai-preview-content' }, content)
+      );
+    };
+
+    // Only the items in view (plus `overscan` on each side) are rendered; items have a
+    // fixed height, so spacers above and below stand in for the rest
+    const first = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
+    const last = Math.min(prompts.length, Math.ceil((scrollTop + viewportHeight) / itemHeight) + overscan);
+
     return h('div', { className: 'ai-prompt-dropdown' },
-      h('div', { className: 'ai-scroll' },
+      h('div', {
+        className: 'ai-scroll',
+        onScroll: (e) => onListScroll && onListScroll(e.currentTarget.scrollTop)
+      },
         prompts.length === 0 
           ? (filterValue ? h('div', { className: 'ai-prompt-no-results' }, `No prompts match "${filterValue}"`) : null)
-          : prompts.map((prompt, index) => 
-              h('div', {
-                key: prompt.name + index,
-                className: `ai-prompt-item ${index === selectedIndex ? 'selected' : ''}`,
+          : [
+            first > 0 && h('div', { key: 'spacer-top', style: { height: `${first * itemHeight}px` } }),
+            ...prompts.slice(first, last).map((prompt, offset) => {
+              const index = first + offset;
+              return h('div', {
+                key: prompt?.id || prompt.name + index,
+                className: [
+                  'ai-prompt-item',
+                  index === selectedIndex ? 'selected' : '',
+                  prompt?.pinned ? 'pinned' : '',
+                  // Separator below the last pinned prompt
+                  prompt?.pinned && prompts[index + 1] && !prompts[index + 1].pinned ? 'pinned-last' : '',
+                  multiSelection.includes(prompt?.id) ? 'checked' : ''
+                ].filter(Boolean).join(' '),
                 tabIndex: 0,
-                onClick: () => onSelectPrompt(index),
+                // Ctrl/Cmd+click adds the prompt to the selection instead of inserting it
+                onClick: (e) => ((e.ctrlKey || e.metaKey) && onToggleSelect ? onToggleSelect(index) : onSelectPrompt(index)),
                 onMouseEnter: () => onSelectIndex(index)
               },
-                h('div', { className: 'ai-prompt-name' }, prompt?.name || 'Unnamed'),
-                h('div', { className: 'ai-prompt-preview' }, 
-                  (prompt?.content || '').split('\n').map(line => line.trim()).filter(line => line.length > 0)
-                    .join(' ').replace(/\s+/g, ' ').trim().substring(0, 100) + 
-                    ((prompt?.content || '').length > 100 ? '...' : '')
-                )
-              )
-            )
+                h('div', { className: 'ai-prompt-name' },
+                  multiSelection.includes(prompt?.id) && h('span', {
+                    className: 'ai-prompt-order',
+                    title: 'Inserted in this order'
+                  }, String(multiSelection.indexOf(prompt.id) + 1)),
+                  prompt?.pinned && h('span', { className: 'ai-prompt-pin', title: 'Pinned' }, '★ '),
+                  prompt?.name ? highlight(prompt.name, searchMatches[prompt.id]?.name) : 'Unnamed',
+                  Array.isArray(prompt?.tags) && prompt.tags.length > 0 && h('span', { className: 'ai-prompt-tags' },
+                    prompt.tags.map(tag => `#${tag}`).join(' ')
+                  )
+                ),
+                promptError && promptError.promptId === prompt?.id
+                  ? h('div', { className: 'ai-prompt-error', title: promptError.message }, promptError.message)
+                  : h('div', { className: 'ai-prompt-preview' }, renderPreview(prompt))
+              );
+            }),
+            last < prompts.length && h('div', { key: 'spacer-bottom', style: { height: `${(prompts.length - last) * itemHeight}px` } })
+          ]
       ),
       // Filter display at bottom right - only show if there's a filter value
       filterValue && h('div', { className: 'ai-prompt-filter' },
         h('div', {
           className: 'ai-filter-display'
         }, filterValue)
-      )
+      ),
+      renderPreviewPane()
     );
   };
   
@@ -181,6 +353,8 @@ class PerformanceMonitor {
     this.metrics = new Map();
     this.timers = new Map();
     this.enabled = true; // Can be disabled in production
+    // Average durations (ms) above which an operation is reported as slow
+    this.budgets = { default: 50, prompt_search: 10 };
   }
 
   startTimer(operation) {
@@ -294,7 +468,7 @@ class PerformanceMonitor {
     // Identify performance issues
     const issues = [];
     this.metrics.forEach((metric, operation) => {
-      if (metric.averageDuration > 50) {
+      if (metric.averageDuration > (this.budgets[operation] || this.budgets.default)) {
         issues.push(`${operation}: avg ${metric.averageDuration}ms (slow)`);
       }
       if (metric.errors > 0) {
@@ -753,6 +927,24 @@ class AIPromptAutocomplete {
         RETRY_DELAY: 200,
         INIT_RETRY_DELAY: 1000,
         RESET_FLAG_DELAY: 100
+      },
+      // Control characters standing in for the caret and inline Tab stops in rendered content
+      SNIPPET_MARKERS: {
+        CURSOR: '\u0001',
+        STOP_START: '\u0002', // followed by the stop's token index
+        STOP_LABEL: '\u0003', // followed by the text shown in the stop
+        STOP_END: '\u0004'
+      },
+      // Dropdown items have a fixed height (see .ai-prompt-item) so the list can be virtualized
+      DROPDOWN_LIST: {
+        ITEM_HEIGHT: 46,
+        OVERSCAN: 5,
+        VIEWPORT_HEIGHT: 300 // .ai-scroll max-height, used before the list is measured
+      },
+      // Size of the preview pane (see .ai-preview-pane): width beside the list, height below it
+      PREVIEW_PANE: {
+        WIDTH: 320,
+        HEIGHT: 220
       }
     };
     
@@ -769,7 +961,11 @@ class AIPromptAutocomplete {
     this.dropdown = null;
     this.selectedIndex = -1;
     this.filteredPrompts = [];
+    this.dropdownScrollTop = 0; // Scroll position of the prompt list, decides which items are rendered
+    this.previewPlacement = null; // Side of the list the preview pane is on, chosen by positionDropdown
+    this.previewTemplate = null; // { prompt, template } parsed for the preview pane
     this.filterValue = ''; // Internal filter value
+    this.promptUsage = {}; // Per-prompt usage from background: { id: { count, lastUsed, sites } }
     this.isDropdownVisible = false;
     this.isInDropdownMode = false; // Unified mode for both hotkey and text trigger
     this.dropdownModeStartPosition = -1;
@@ -780,10 +976,24 @@ class AIPromptAutocomplete {
 
     // Placeholder form state
     this.isInPlaceholderMode = false;
-    this.currentPromptContent = '';
+    this.currentPromptId = null;
+    this.currentTemplate = null; // PromptTemplate of the prompt being filled in
     this.placeholders = [];
     this.placeholderValues = {};
     this.currentPlaceholderIndex = 0;
+    this.contextValues = {}; // Resolved {{url}}, {{title}}, ... for the prompt being filled in
+    this.lastPageSelection = ''; // Most recent non-empty text selection on the page
+    this.promptError = null; // { promptId, message } shown in place of that prompt's preview
+    this.multiSelection = []; // Ids of prompts picked with Shift+Space, in the order picked
+    this.promptSearch = new PromptSearch();
+    this.searchIndex = new PromptSearchIndex(this.promptSearch); // Rebuilt as prompts change
+    this.searchMatches = {}; // Match ranges of the current filter by prompt id: { name, content }
+    this.placeholderHistory = {}; // Remembered values for the form: { name: [values, most recent first] }
+    this.suggestionIndex = -1; // Highlighted entry in the focused field's suggestion list
+    this.showPlaceholderErrors = false; // Set by the first insert attempt with invalid fields
+    this.snippet = null; // Inline fill session: { input, template, stops, index, cursor, length, values }
+    this.isUpdatingSnippet = false; // Set while we rewrite snippet text, so our own input events are ignored
+    this.lastInsertedRange = null; // { start, end } offsets of the last inserted text in its field
 
     // Internal guards to avoid duplicate registrations
     this._eventsRegistered = false;
@@ -842,13 +1052,14 @@ class AIPromptAutocomplete {
         try {
           const s = await this.sendMessage({ action: 'getSettings' });
           if (s && typeof s === 'object') {
-            // Validate critical settings structure
+            // Validate critical settings structure (validated fields win over the raw values)
             this.settings = {
+              ...s,
               hotkey: s.hotkey || 'Ctrl+Shift+P',
               textTrigger: s.textTrigger || 'AI:',
-              prompts: Array.isArray(s.prompts) ? s.prompts : [],
-              ...s
+              prompts: Array.isArray(s.prompts) ? s.prompts : []
             };
+            this.searchIndex.update(this.settings.prompts);
             break;
           }
         } catch (settingsError) {
@@ -860,6 +1071,12 @@ class AIPromptAutocomplete {
         }
       }
 
+      // Usage data only affects ordering, so a failure here is not retried
+      const usage = await this.sendMessage({ action: 'getPromptUsage' });
+      if (usage && typeof usage === 'object' && !usage.error) {
+        this.promptUsage = usage;
+      }
+
       // Small delay to ensure page is fully rendered
       if (!this.resources?.isDestroyed) {
         // Focus immediately without delay
@@ -1021,11 +1238,18 @@ class AIPromptAutocomplete {
                 ...message.settings,
                 prompts: Array.isArray(message.settings.prompts) ? message.settings.prompts : this.settings.prompts || []
               };
+              this.updateSearchIndex();
             }
           } catch (error) {
           }
           break;
           
+        case 'usageUpdated':
+          if (message.usage && typeof message.usage === 'object') {
+            this.promptUsage = message.usage;
+          }
+          break;
+
         case 'getPerformanceReport':
           try {
             return this.performanceMonitor ? this.performanceMonitor.getReport() : null;
@@ -1062,6 +1286,11 @@ class AIPromptAutocomplete {
     });
 
     this.resources.addEventListener(document, 'focusout', (e) => {
+      // Leaving the field ends an inline snippet session
+      if (this.snippet && e.target === this.snippet.input && !this.isUpdatingSnippet && !this.isRestoringFocus) {
+        this.snippet = null;
+      }
+
       // Don't handle focusout when in placeholder mode at all
       if (this.isInPlaceholderMode) {
         return;
@@ -1084,6 +1313,15 @@ class AIPromptAutocomplete {
       this.handleKeydown(e);
     }, { capture: true });
 
+    // Remember the page selection for {{selection}}; it collapses once the user clicks into an input
+    this.resources.addEventListener(document, 'selectionchange', () => {
+      const selection = window.getSelection();
+      const text = selection ? selection.toString() : '';
+      if (text.trim() && !(this.dropdown && this.dropdown.contains(selection.anchorNode))) {
+        this.lastPageSelection = text;
+      }
+    });
+
     this.resources.addEventListener(document, 'input', (e) => {
       if (this.isInputElement(e.target) && !this.isPlaceholderInput(e.target)) {
         this.handleInput(e);
@@ -1129,6 +1367,14 @@ class AIPromptAutocomplete {
 
 
   handleKeydown(e) {
+    // Inline snippet: Tab/Shift+Tab jump between the inserted placeholders, Escape finishes
+    if (this.snippet && !this.isDropdownVisible && this.handleSnippetKeydown(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      return;
+    }
+
     // GLOBAL EVENT FIREWALL: Aggressively block keyboard events when dropdown is active
     // but only for events that should be exclusively ours
     if (this.isDropdownVisible || this.isInPlaceholderMode) {
@@ -1140,6 +1386,13 @@ class AIPromptAutocomplete {
       const keysWeHandle = ['Enter', 'ArrowDown', 'ArrowUp', 'Escape', 'Tab'];
       const isOurKey = keysWeHandle.includes(e.key);
       const isFromOurElements = isFromOurDropdown || isFromOurInput || isFromPlaceholderInput;
+
+      // Keys the focused placeholder control uses itself: keep the default action, hide it from the page
+      if (isFromPlaceholderInput && this.isNativePlaceholderKey(e)) {
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+        return;
+      }
       
       if (isOurKey && isFromOurElements) {
         // Block the event immediately at capture phase
@@ -1158,6 +1411,22 @@ class AIPromptAutocomplete {
 
       // Handle keystroke filtering when dropdown is visible and not in placeholder mode
       if (this.isDropdownVisible && !this.isInPlaceholderMode) {
+        // Alt+P pins/unpins the selected prompt (match on code: Alt+P types 'π' on macOS)
+        if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyP' && isFromOurElements) {
+          this.toggleSelectedPin();
+          e.preventDefault();
+          e.stopPropagation();
+          return;
+        }
+
+        // Shift+Space adds the selected prompt to the ones inserted together (plain Space filters)
+        if (e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey && e.key === ' ' && isFromOurElements) {
+          this.toggleMultiSelection(this.selectedIndex);
+          e.preventDefault();
+          e.stopPropagation();
+          return;
+        }
+
         if (e.key.length === 1) {
           // Printable character - add to filter
           this.filterValue = (this.filterValue || '') + e.key;
@@ -1196,6 +1465,36 @@ class AIPromptAutocomplete {
     }
   }
   
+  /**
+   * Whether a key belongs to the focused placeholder control rather than form navigation:
+   * Enter and caret movement inside multi-line fields, and ↑/↓ stepping through select
+   * options, numbers and dates (Tab still moves between fields)
+   * @param {KeyboardEvent} e - Keydown event from a placeholder control
+   * @returns {boolean}
+   */
+  isNativePlaceholderKey(e) {
+    const control = e.target;
+
+    // While a suggestion is highlighted the list owns the navigation keys
+    if (this.suggestionIndex >= 0 && ['Enter', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+      return false;
+    }
+
+    if (control.tagName === 'TEXTAREA') {
+      if (e.key === 'Enter') {
+        return !e.ctrlKey && !e.metaKey;
+      }
+      const beforeCaret = control.value.slice(0, control.selectionStart);
+      const afterCaret = control.value.slice(control.selectionEnd);
+      if (e.key === 'ArrowUp') return beforeCaret.includes('\n');
+      if (e.key === 'ArrowDown') return afterCaret.includes('\n');
+      return false;
+    }
+
+    const stepsValue = control.tagName === 'SELECT' || control.type === 'number' || control.type === 'date';
+    return stepsValue && (e.key === 'ArrowUp' || e.key === 'ArrowDown');
+  }
+  
   handleOurKeydownEvents(e) {
     // Handle placeholder mode first
     if (this.isInPlaceholderMode) {
@@ -1204,6 +1503,25 @@ class AIPromptAutocomplete {
       const isFromOurDropdown = this.dropdown && this.dropdown.contains(e.target);
       
       if (isFromPlaceholderInput || isFromOurDropdown) {
+        // The suggestion list under the focused field takes ↑/↓, Enter and Escape while it is in use
+        const suggestions = this.getPlaceholderSuggestions();
+        if (e.key === 'ArrowDown' && suggestions.length > 0 && this.suggestionIndex < suggestions.length - 1) {
+          this.suggestionIndex++;
+          this.renderDropdown(true);
+          return;
+        }
+        if (this.suggestionIndex >= 0) {
+          if (e.key === 'ArrowUp' || e.key === 'Escape') {
+            this.suggestionIndex = e.key === 'ArrowUp' ? this.suggestionIndex - 1 : -1;
+            this.renderDropdown(true);
+            return;
+          }
+          if (e.key === 'Enter') {
+            this.applySuggestion(suggestions[this.suggestionIndex]);
+            return;
+          }
+        }
+
         switch (e.key) {
           case 'Enter':
             this.insertPromptWithPlaceholders();
@@ -1273,7 +1591,7 @@ class AIPromptAutocomplete {
         // Use stopImmediatePropagation only for our controlled elements
         e.stopImmediatePropagation();
 
-        if (this.selectedIndex >= 0 && this.filteredPrompts[this.selectedIndex]) {
+        if (this.multiSelection.length > 0 || (this.selectedIndex >= 0 && this.filteredPrompts[this.selectedIndex])) {
           this.insertSelectedPrompt();
         } else if (this.filteredPrompts.length > 0) {
           // If no item selected, select the first one
@@ -1349,6 +1667,11 @@ class AIPromptAutocomplete {
   handleInput(e) {
     if (!this.settings) return;
 
+    // Typing into an inline snippet field; runs even right after insertion
+    if (this.snippet && this.inputManager.getEditableRoot(e.target) === this.snippet.input) {
+      this.syncSnippet();
+    }
+
     // Ignore input events immediately after prompt insertion to prevent
     // the inserted prompt text from being treated as filter input
     if (this.justInsertedPrompt) return;
@@ -1466,25 +1789,37 @@ class AIPromptAutocomplete {
 
   resetPlaceholderMode() {
     this.isInPlaceholderMode = false;
-    this.currentPromptContent = '';
+    this.currentPromptId = null;
+    this.currentTemplate = null;
     this.placeholders = [];
     this.placeholderValues = {};
     this.currentPlaceholderIndex = 0;
+    this.contextValues = {};
+    this.placeholderHistory = {};
+    this.suggestionIndex = -1;
+    this.showPlaceholderErrors = false;
   }
 
-  showPlaceholderForm(promptContent, placeholders) {
-
+  showPlaceholderForm(template, promptId = null, contextValues = {}, history = {}) {
+    const placeholders = this.getFormPlaceholders(template, contextValues);
     
     // Set placeholder mode first to prevent focus handling issues
     this.isInPlaceholderMode = true;
-    this.currentPromptContent = promptContent;
+    this.currentPromptId = promptId;
+    this.currentTemplate = template;
     this.placeholders = placeholders;
     this.currentPlaceholderIndex = 0;
     this.placeholderValues = {};
+    this.contextValues = contextValues;
+    this.placeholderHistory = history;
+    this.suggestionIndex = -1;
     
-    // Initialize placeholder values with defaults
+    // Initialize placeholder values with the last value used, or else the default
     placeholders.forEach(placeholder => {
-      this.placeholderValues[placeholder.name] = placeholder.defaultValue;
+      const lastValue = (history[placeholder.name] || [])[0];
+      const isUsable = lastValue !== undefined &&
+        (placeholder.type !== 'select' || placeholder.options.includes(lastValue));
+      this.placeholderValues[placeholder.name] = isUsable ? lastValue : placeholder.defaultValue;
     });
     
     this.renderPlaceholderForm();
@@ -1508,24 +1843,36 @@ class AIPromptAutocomplete {
     const previewElement = document.getElementById('placeholder-preview-text');
     if (!previewElement) return;
     
-    let preview = this.currentPromptContent;
-
-    // Replace all placeholders with their values, and only wrap the actual placeholder positions
-    this.placeholders.forEach((placeholder, index) => {
-      const name = placeholder.name;
-      const valueRaw = this.placeholderValues[name] || placeholder.defaultValue || `[${name}]`;
-      const value = this.escapeHtml(valueRaw);
+    const currentName = this.placeholders[this.currentPlaceholderIndex]?.name;
+    // Only the first occurrence of the current placeholder gets the id used for scrolling
+    let highlightId = 'id="current-placeholder-highlight"';
 
-      const wrapIfCurrent = (match) => {
-        return index === this.currentPlaceholderIndex
-          ? `<span class="current-placeholder" id="current-placeholder-highlight">${value}</span>`
-          : value;
-      };
+    const renderField = (name, value) => {
+      if (name !== currentName) {
+        return value;
+      }
+      const html = `<span class="current-placeholder" ${highlightId}>${value}</span>`;
+      highlightId = '';
+      return html;
+    };
 
-      // Replace both bracket and brace syntaxes for this placeholder name
-      const bracketRegex = new RegExp(`\\[${this.escapeRegex(name)}(?::[^\\]]*)?\\]`, 'g');
-      const braceRegex = new RegExp(`\\{${this.escapeRegex(name)}(?::[^\\}]*)?\\}`, 'g');
-      preview = preview.replace(bracketRegex, wrapIfCurrent).replace(braceRegex, wrapIfCurrent);
+    const preview = this.currentTemplate.render({
+      text: (token) => this.escapeHtml(token.value),
+      placeholder: (token) => {
+        const filled = this.getPlaceholderValue(token.name);
+        return renderField(token.name, this.escapeHtml(filled ? this.currentTemplate.transformValue(filled, token) : `[${token.name}]`));
+      },
+      // Context variables were resolved from the page; show their values, marked as automatic
+      context: (token) => {
+        if (!this.contextValues[token.name] && this.placeholders.some(p => p.name === token.name)) {
+          // A page extract that found nothing is filled in by hand
+          return renderField(token.name, this.escapeHtml(this.placeholderValues[token.name] || `[${token.selector}]`));
+        }
+        return `<span class="context-variable" title="{{${this.escapeHtml(token.name)}}}">${this.escapeHtml(this.contextValues[token.name] || '')}</span>`;
+      },
+      cursor: () => '<span class="cursor-marker" title="Caret position after insertion"></span>',
+      // Conditional sections and optional lines follow the values as they are typed
+      isFilled: (name) => this.isTemplateValueFilled(name)
     });
 
     previewElement.innerHTML = preview;
@@ -1568,7 +1915,10 @@ class AIPromptAutocomplete {
           // Ensure the input is ready for focus and we're still in the right mode
           if (activeInput.offsetParent !== null) {
             activeInput.focus({ preventScroll: true });
-            activeInput.select();
+            // Select elements have nothing to select
+            if (typeof activeInput.select === 'function') {
+              activeInput.select();
+            }
           } else if (this.isInPlaceholderMode) {
             // Retry if element isn't rendered yet, but only if still in placeholder mode
             this.focusCurrentPlaceholder();
@@ -1578,10 +1928,6 @@ class AIPromptAutocomplete {
     });
   }
 
-  escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -1607,49 +1953,11 @@ class AIPromptAutocomplete {
       return;
     }
 
-    const queryLower = this.filterValue.toLowerCase().trim();
-
-    if (!queryLower) {
-      // No query - show all prompts
-      this.filteredPrompts = [...this.settings.prompts];
-    } else {
-      // Score-based matching for better results
-      const scoredPrompts = this.settings.prompts.map(prompt => {
-        const nameLower = prompt.name.toLowerCase();
-        const contentLower = prompt.content.toLowerCase();
-        
-        let score = 0;
-        
-        // Exact matches get highest score
-        if (nameLower === queryLower) score += 1000;
-        if (contentLower === queryLower) score += 500;
-        
-        // Starts with matches get high score
-        if (nameLower.startsWith(queryLower)) score += 100;
-        if (contentLower.startsWith(queryLower)) score += 50;
-        
-        // Contains matches get lower score
-        if (nameLower.includes(queryLower)) score += 10;
-        if (contentLower.includes(queryLower)) score += 5;
-        
-        // Word boundary matches get bonus
-        const nameWords = nameLower.split(/\s+/);
-        const contentWords = contentLower.split(/\s+/);
-        
-        if (nameWords.some(word => word.startsWith(queryLower))) score += 25;
-        if (contentWords.some(word => word.startsWith(queryLower))) score += 15;
-        
-        return { prompt, score };
-      }).filter(item => item.score > 0);
-
-      // Sort by score (highest first) and extract prompts
-      this.filteredPrompts = scoredPrompts
-        .sort((a, b) => b.score - a.score)
-        .map(item => item.prompt);
-    }
+    this.filteredPrompts = this.searchPrompts(this.filterValue);
 
     // Reset selection to first item
     this.selectedIndex = this.filteredPrompts.length > 0 ? 0 : -1;
+    this.scrollSelectedIntoView();
     
     // Re-render dropdown with new filtered results
     this.renderDropdown();
@@ -1657,6 +1965,144 @@ class AIPromptAutocomplete {
     this.performanceMonitor.endTimer(perfTimer);
   }
 
+  /**
+   * Prompts matching a filter: `#tag` words narrow by tag, the rest is searched in names
+   * and content. Best matches come first (ties and empty queries in the configured
+   * order), pinned prompts above the rest. Match ranges are kept for highlighting.
+   * @param {string} query - Filter text
+   * @returns {Array} Matching prompts
+   */
+  searchPrompts(query) {
+    const perfTimer = this.performanceMonitor.startTimer('prompt_search');
+    const { tags, text } = this.parseTagFilter(query);
+    const comparePrompts = this.getPromptComparator();
+
+    const results = this.searchIndex.find(text, tags)
+      .sort((a, b) => b.score - a.score || comparePrompts(a.prompt, b.prompt));
+
+    this.searchMatches = {};
+    results.forEach(result => {
+      this.searchMatches[result.prompt.id] = result.ranges;
+    });
+    const prompts = this.pinnedFirst(results.map(result => result.prompt));
+
+    this.performanceMonitor.endTimer(perfTimer);
+    return prompts;
+  }
+
+  // Re-index prompts whose text changed since the last update (timed as 'search_index')
+  updateSearchIndex() {
+    const perfTimer = this.performanceMonitor.startTimer('search_index');
+    this.searchIndex.update(this.settings?.prompts);
+    this.performanceMonitor.endTimer(perfTimer);
+  }
+
+  // Move pinned prompts to the top while keeping the relative order of both groups
+  pinnedFirst(prompts) {
+    return [
+      ...prompts.filter(prompt => prompt.pinned),
+      ...prompts.filter(prompt => !prompt.pinned)
+    ];
+  }
+
+  // Add the prompt at `index` to the prompts inserted together, or take it out again
+  toggleMultiSelection(index) {
+    const prompt = this.filteredPrompts[index];
+    if (!prompt) return;
+
+    this.multiSelection = this.multiSelection.includes(prompt.id)
+      ? this.multiSelection.filter(id => id !== prompt.id)
+      : [...this.multiSelection, prompt.id];
+    this.selectedIndex = index;
+    this.renderDropdown(true);
+  }
+
+  getMultiSelectionPrompts() {
+    return this.multiSelection
+      .map(id => (this.settings?.prompts || []).find(prompt => prompt.id === id))
+      .filter(Boolean);
+  }
+
+  // Toggle the pinned flag of the selected dropdown item and keep it selected
+  toggleSelectedPin() {
+    const prompt = this.filteredPrompts[this.selectedIndex];
+    if (!prompt) return;
+
+    const updated = { ...prompt, pinned: !prompt.pinned };
+    this.settings.prompts = this.settings.prompts.map(p => p.id === prompt.id ? updated : p);
+    this.searchIndex.update(this.settings.prompts);
+    this.filteredPrompts = this.pinnedFirst(
+      this.filteredPrompts.map(p => p.id === prompt.id ? updated : p)
+    );
+    this.selectedIndex = this.filteredPrompts.findIndex(p => p.id === prompt.id);
+    this.updateSelection();
+
+    this.sendMessage({ action: 'updatePrompt', id: prompt.id, prompt: { pinned: updated.pinned } });
+  }
+
+  /**
+   * Build a comparator for the configured prompt order (settings.promptSortOrder)
+   * @returns {Function} Comparator; 'manual' returns 0 so the stable sort keeps stored order
+   */
+  getPromptComparator() {
+    const order = this.settings?.promptSortOrder || 'frecency';
+
+    if (order === 'alphabetical') {
+      // One collator for the whole sort; localeCompare with options builds one per call
+      const collator = new Intl.Collator(undefined, { sensitivity: 'base' });
+      return (a, b) => collator.compare(a.name || '', b.name || '');
+    }
+
+    if (order === 'frecency') {
+      const hostname = window.location?.hostname || '';
+      const scores = new Map();
+      const scoreOf = (prompt) => {
+        if (!scores.has(prompt.id)) {
+          scores.set(prompt.id, this.getFrecencyScore(this.promptUsage[prompt.id], hostname));
+        }
+        return scores.get(prompt.id);
+      };
+      return (a, b) => scoreOf(b) - scoreOf(a);
+    }
+
+    return () => 0;
+  }
+
+  /**
+   * Frecency: use count weighted by how recently the prompt was last used,
+   * with uses on the current site counted twice
+   * @param {Object} usage - Usage entry { count, lastUsed, sites }
+   * @param {string} hostname - Current page hostname
+   * @returns {number} Ranking score, 0 for never-used prompts
+   */
+  getFrecencyScore(usage, hostname) {
+    if (!usage || !usage.count) return 0;
+
+    const ageDays = (Date.now() - new Date(usage.lastUsed).getTime()) / 86400000;
+    let recencyWeight = 10;
+    if (ageDays < 4) recencyWeight = 100;
+    else if (ageDays < 14) recencyWeight = 70;
+    else if (ageDays < 31) recencyWeight = 50;
+    else if (ageDays < 90) recencyWeight = 30;
+
+    const siteCount = (hostname && usage.sites?.[hostname]) || 0;
+    return (usage.count + siteCount) * recencyWeight;
+  }
+
+  /**
+   * Split a filter query into '#tag' terms and the remaining free text
+   * @param {string} query - Raw filter text, e.g. "#review security"
+   * @returns {{tags: string[], text: string}} Lowercased tags and the remaining text
+   */
+  parseTagFilter(query) {
+    const tags = [];
+    const text = (query || '').replace(/(^|\s)#([^\s#]*)/g, (match, lead, tag) => {
+      if (tag) tags.push(tag.toLowerCase());
+      return lead;
+    });
+    return { tags, text: text.replace(/\s+/g, ' ') };
+  }
+
   filterAndShowPromptsWithBestMatch(query) {
     const perfTimer = this.performanceMonitor.startTimer('prompt_filtering');
     
@@ -1675,49 +2121,10 @@ class AIPromptAutocomplete {
     // For external filtering (hotkey/text trigger), clear internal filter
     this.filterValue = '';
     
-    const queryLower = query.toLowerCase().trim();
-
-    if (!queryLower) {
-      // No query - show all prompts
-      this.filteredPrompts = [...this.settings.prompts];
-    } else {
-      // Score-based matching for better results
-      const scoredPrompts = this.settings.prompts.map(prompt => {
-        const nameLower = prompt.name.toLowerCase();
-        const contentLower = prompt.content.toLowerCase();
-        
-        let score = 0;
-        
-        // Exact matches get highest score
-        if (nameLower === queryLower) score += 1000;
-        if (contentLower === queryLower) score += 500;
-        
-        // Starts with matches get high score
-        if (nameLower.startsWith(queryLower)) score += 100;
-        if (contentLower.startsWith(queryLower)) score += 50;
-        
-        // Contains matches get lower score
-        if (nameLower.includes(queryLower)) score += 10;
-        if (contentLower.includes(queryLower)) score += 5;
-        
-        // Word boundary matches get bonus
-        const nameWords = nameLower.split(/\s+/);
-        const contentWords = contentLower.split(/\s+/);
-        
-        if (nameWords.some(word => word.startsWith(queryLower))) score += 25;
-        if (contentWords.some(word => word.startsWith(queryLower))) score += 15;
-        
-        return { prompt, score };
-      }).filter(item => item.score > 0);
-
-      // Sort by score (highest first) and extract prompts
-      this.filteredPrompts = scoredPrompts
-        .sort((a, b) => b.score - a.score)
-        .map(item => item.prompt);
-    }
+    this.filteredPrompts = this.searchPrompts(query);
 
     // Check if filtering resulted in no matches - let the Preact component handle the display
-    if (this.filteredPrompts.length === 0 && queryLower) {
+    if (this.filteredPrompts.length === 0 && (query || '').trim()) {
       // Still create dropdown and render to show "no matches" message
       if (!this.dropdown || !this.isDropdownVisible) {
         this.createDropdown();
@@ -1755,6 +2162,7 @@ class AIPromptAutocomplete {
 
     // Create container for Preact component
     this.dropdown = document.createElement('div');
+    this.dropdownScrollTop = 0;
     this.dropdown.className = 'ai-prompt-container';
     this.dropdown.setAttribute('role', 'listbox');
     this.dropdown.setAttribute('tabindex', '-1'); // Make focusable but not tabbable
@@ -1769,7 +2177,7 @@ class AIPromptAutocomplete {
     const wheelHandler = (e) => {
       e.stopPropagation();
       // Let the scroll container handle the wheel event
-      const scrollContainer = this.dropdown?.querySelector('.ai-scroll');
+      const scrollContainer = e.target.closest?.('.ai-preview-content') || this.dropdown?.querySelector('.ai-scroll');
       if (scrollContainer) {
         scrollContainer.scrollTop += e.deltaY;
       }
@@ -1839,19 +2247,11 @@ class AIPromptAutocomplete {
               try {
                 if (typeof index === 'number' && index >= 0) {
                   this.selectedIndex = index;
-                  // Safe async scroll with error handling
-                  this.resources.setTimeout(() => {
-                    try {
-                      const items = this.dropdown?.querySelectorAll('.ai-prompt-item');
-                      if (this.selectedIndex >= 0 && items?.[this.selectedIndex]) {
-                        items[this.selectedIndex].scrollIntoView({ 
-                          block: 'nearest', 
-                          behavior: 'smooth' 
-                        });
-                      }
-                    } catch (scrollError) {
-                    }
-                  }, 10);
+                  this.scrollSelectedIntoView();
+                  // The preview pane follows the hovered prompt
+                  if (this.previewPlacement) {
+                    this.renderDropdown(true);
+                  }
                 }
               } catch (error) {
               }
@@ -1864,6 +2264,11 @@ class AIPromptAutocomplete {
               try {
                 if (name && this.placeholderValues) {
                   this.placeholderValues[name] = String(value || '');
+                  this.suggestionIndex = -1;
+                  // Typed text narrows the suggestion list and may fix an error, which need a re-render
+                  if (this.placeholderHistory[name] || this.showPlaceholderErrors) {
+                    this.renderDropdown(true);
+                  }
                   this.updatePreview();
                 }
               } catch (error) {
@@ -1872,12 +2277,25 @@ class AIPromptAutocomplete {
             onPlaceholderNavigate: (index) => {
               try {
                 if (typeof index === 'number' && index >= 0 && index < (this.placeholders?.length || 0)) {
-                  this.currentPlaceholderIndex = index;
+                  if (index !== this.currentPlaceholderIndex) {
+                    this.currentPlaceholderIndex = index;
+                    this.suggestionIndex = -1;
+                    this.renderDropdown(true);
+                  }
                   this.updatePreview();
                 }
               } catch (error) {
               }
             },
+            suggestions: this.isInPlaceholderMode ? this.getPlaceholderSuggestions() : [],
+            placeholderErrors: this.showPlaceholderErrors ? this.getPlaceholderErrors() : {},
+            suggestionIndex: this.suggestionIndex,
+            onSuggestionPick: (value) => {
+              try {
+                this.applySuggestion(value);
+              } catch (error) {
+              }
+            },
             onInsertPrompt: () => {
               try {
                 this.insertPromptWithPlaceholders();
@@ -1897,6 +2315,31 @@ class AIPromptAutocomplete {
               }
             },
             filterValue: this.filterValue || '',
+            promptError: this.promptError,
+            searchMatches: this.searchMatches,
+            promptSearch: this.promptSearch,
+            scrollTop: this.dropdownScrollTop,
+            viewportHeight: this.dropdown.querySelector('.ai-scroll')?.clientHeight || this.CONSTANTS.DROPDOWN_LIST.VIEWPORT_HEIGHT,
+            itemHeight: this.CONSTANTS.DROPDOWN_LIST.ITEM_HEIGHT,
+            overscan: this.CONSTANTS.DROPDOWN_LIST.OVERSCAN,
+            onListScroll: (scrollTop) => {
+              try {
+                this.handleListScroll(scrollTop);
+              } catch (error) {
+              }
+            },
+            previewPlacement: this.isInPlaceholderMode ? null : this.previewPlacement,
+            previewTemplate: this.previewPlacement ? this.getPreviewTemplate(this.filteredPrompts?.[this.selectedIndex]) : null,
+            promptUsage: this.promptUsage,
+            hostname: window.location?.hostname || '',
+            multiSelection: this.multiSelection,
+            onToggleSelect: (index) => {
+              try {
+                this.toggleMultiSelection(index);
+              } catch (error) {
+              }
+            },
+            formTitle: Array.isArray(this.currentPromptId) ? this.getMultiSelectionPrompts().map(p => p.name).join(' + ') : '',
             settings: this.settings || {}
           });
         
@@ -1904,6 +2347,8 @@ class AIPromptAutocomplete {
         // Update container class for placeholder mode
         if (this.isInPlaceholderMode) {
           this.dropdown.className = 'ai-prompt-container placeholder-mode';
+        } else if (this.previewPlacement) {
+          this.dropdown.className = `ai-prompt-container preview-${this.previewPlacement}`;
         } else {
           this.dropdown.className = 'ai-prompt-container';
         }
@@ -1963,6 +2408,11 @@ class AIPromptAutocomplete {
           const viewportWidth = window.innerWidth || 800;
           const documentHeight = document.documentElement?.scrollHeight || viewportHeight;
           const currentScrollY = window.scrollY || 0;
+          const pane = this.CONSTANTS.PREVIEW_PANE;
+          let placedAbove = false;
+
+          // Measure the list alone; the preview pane is placed around it afterwards
+          this.dropdown.classList.remove('preview-right', 'preview-left', 'preview-above', 'preview-below');
 
           // Get dropdown dimensions early for better collision detection
           const dropdownHeight = this.dropdown?.offsetHeight || 300; // fallback estimate
@@ -2009,6 +2459,7 @@ class AIPromptAutocomplete {
             if ((wouldCauseScroll || insufficientSpaceBelow) && sufficientSpaceAbove) {
               // Position above target with extra margin to avoid interference
               top = targetRect.top + currentScrollY - dropdownHeight - 8;
+              placedAbove = true;
             } else {
               // Position below target (default)
               top = targetRect.bottom + currentScrollY + 4;
@@ -2029,9 +2480,25 @@ class AIPromptAutocomplete {
             width = 500;
           }
 
+          // The list keeps its place next to the input; the pane grows the container away from it
+          const placement = this.getPreviewPlacement(left, 500, placedAbove, viewportWidth);
+          if (placement === 'left') {
+            left -= pane.WIDTH;
+          } else if (placement === 'above') {
+            top -= pane.HEIGHT;
+          }
+          const totalHeight = dropdownHeight + (placement === 'above' || placement === 'below' ? pane.HEIGHT : 0);
+
           // Clamp within viewport bounds to prevent any scrollbar creation
           left = Math.max(10, Math.min(left, viewportWidth - 10));
-          top = Math.max(currentScrollY + 10, Math.min(top, currentScrollY + viewportHeight - dropdownHeight - 10));
+          top = Math.max(currentScrollY + 10, Math.min(top, currentScrollY + viewportHeight - totalHeight - 10));
+
+          if (placement !== this.previewPlacement) {
+            this.previewPlacement = placement;
+            this.renderDropdown(true);
+          } else if (placement) {
+            this.dropdown.classList.add(`preview-${placement}`);
+          }
 
           // Apply positioning and make visible in one go
           if (this.dropdown && !this.resources?.isDestroyed) {
@@ -2062,6 +2529,42 @@ class AIPromptAutocomplete {
     }
   }
 
+  /**
+   * Where the preview pane goes for a list at `left`: beside it ('right', else 'left') when
+   * set to 'side' and there is room, otherwise on the side of the list away from the input
+   * @param {number} left - Left edge of the list
+   * @param {number} listWidth - Width of the list
+   * @param {boolean} listAbove - Whether the list opens above the input
+   * @param {number} viewportWidth - Window width
+   * @returns {string|null} 'right', 'left', 'above', 'below', or null when there is no pane
+   */
+  getPreviewPlacement(left, listWidth, listAbove, viewportWidth) {
+    const mode = this.settings?.previewPane || 'off';
+    if (mode === 'off' || this.isInPlaceholderMode) {
+      return null;
+    }
+
+    const { WIDTH } = this.CONSTANTS.PREVIEW_PANE;
+    if (mode === 'side') {
+      if (left + listWidth + WIDTH <= viewportWidth - 10) return 'right';
+      if (left - WIDTH >= 10) return 'left';
+    }
+    return listAbove ? 'above' : 'below';
+  }
+
+  // Template of the prompt shown in the preview pane, parsed once per selected prompt
+  getPreviewTemplate(prompt) {
+    if (!prompt) {
+      return null;
+    }
+    if (this.previewTemplate?.prompt !== prompt) {
+      // Includes are left unexpanded so the pane shows the prompt as written
+      const template = new PromptTemplate(prompt.content, { syntax: this.getPlaceholderSyntax(prompt) });
+      this.previewTemplate = { prompt, template };
+    }
+    return this.previewTemplate.template;
+  }
+
   getCaretClientRect(root) {
     if (!root) return null;
 
@@ -2172,79 +2675,342 @@ class AIPromptAutocomplete {
   }
 
   updateSelection() {
+    // Scroll first so the render already includes the selected item
+    this.scrollSelectedIntoView();
+
     // Re-render component to update selection
     if (window.preact && this.isDropdownVisible) {
       this.renderDropdown();
     }
-    
-    // Scroll selected item into view (works for both Preact and fallback)
-    setTimeout(() => {
-      const items = this.dropdown.querySelectorAll('.ai-prompt-item');
-      if (this.selectedIndex >= 0 && items[this.selectedIndex]) {
-        items[this.selectedIndex].scrollIntoView({ 
-          block: 'nearest', 
-          behavior: 'smooth' 
-        });
-      }
-    }, 10); // Small delay to let Preact render
   }
 
-  insertSelectedPrompt() {
+  /**
+   * Scroll the prompt list just enough to show the selected item. Positions are computed
+   * from the fixed item height, as the item may not be rendered yet.
+   */
+  scrollSelectedIntoView() {
+    const container = this.dropdown?.querySelector('.ai-scroll');
+    if (!container || this.selectedIndex < 0) {
+      this.dropdownScrollTop = 0;
+      return;
+    }
+
+    const { ITEM_HEIGHT } = this.CONSTANTS.DROPDOWN_LIST;
+    const itemTop = this.selectedIndex * ITEM_HEIGHT;
+    let scrollTop = container.scrollTop;
+    if (itemTop < scrollTop) {
+      scrollTop = itemTop;
+    } else if (itemTop + ITEM_HEIGHT > scrollTop + container.clientHeight) {
+      scrollTop = itemTop + ITEM_HEIGHT - container.clientHeight;
+    }
+
+    container.scrollTop = scrollTop;
+    this.dropdownScrollTop = scrollTop;
+  }
+
+  // Re-render when scrolling brings a different window of items into view
+  handleListScroll(scrollTop) {
+    const { ITEM_HEIGHT } = this.CONSTANTS.DROPDOWN_LIST;
+    const moved = Math.floor(scrollTop / ITEM_HEIGHT) !== Math.floor(this.dropdownScrollTop / ITEM_HEIGHT);
+    this.dropdownScrollTop = scrollTop;
+    if (moved && this.isDropdownVisible && !this.isInPlaceholderMode) {
+      this.renderDropdown(true);
+    }
+  }
+
+  async insertSelectedPrompt() {
+    // Prompts picked with Shift+Space are inserted instead of the highlighted one
+    if (this.multiSelection.length > 0) {
+      return this.insertMultiSelection();
+    }
+
     if (this.selectedIndex >= 0 && this.filteredPrompts[this.selectedIndex]) {
       const prompt = this.filteredPrompts[this.selectedIndex];
-      const placeholders = this.extractPlaceholders(prompt.content);
-      
-
-      
-      if (placeholders.length > 0) {
-        // Switch to placeholder collection phase
-        this.showPlaceholderForm(prompt.content, placeholders);
-      } else {
-        // No placeholders - insert immediately
-        this.insertPrompt(prompt.content);
+      const template = this.createTemplateOrShowError(prompt);
+      if (!template) return;
+      try {
+        await this.fillAndInsert(template, prompt.id, this.getPlaceholderMode(prompt));
+      } catch (error) {
+        // Callers don't wait for the insertion, so nothing else would report this
+        this.showPromptError(prompt.id, error.message);
       }
     }
   }
 
-  extractPlaceholders(content) {
-    const placeholders = [];
-    const seen = new Set();
-    
-    // Match both [name] and [name:default] syntax
-    const bracketRegex = /\[([^:\]]+)(?::([^\]]*))?\]/g;
-    let match;
-    
-    while ((match = bracketRegex.exec(content)) !== null) {
-      const name = match[1].trim();
-      const defaultValue = match[2] || '';
-      const fullMatch = match[0];
-      
-      if (!seen.has(name)) {
-        placeholders.push({ name, defaultValue, syntax: 'bracket', fullMatch });
-        seen.add(name);
+  /**
+   * Insert the prompts picked with Shift+Space in the order they were picked, joined by
+   * settings.multiPromptSeparator. Their fields are filled in together in one form.
+   */
+  async insertMultiSelection() {
+    const prompts = this.getMultiSelectionPrompts();
+    const templates = [];
+    for (const prompt of prompts) {
+      try {
+        templates.push(this.createTemplate(prompt));
+      } catch (error) {
+        this.showMultiSelectionError(prompt, error);
+        return;
       }
     }
-    
-    // Match both {name} and {name:default} syntax
-    const braceRegex = /\{([^:\}]+)(?::([^\}]*))?\}/g;
-    
-    while ((match = braceRegex.exec(content)) !== null) {
-      const name = match[1].trim();
-      const defaultValue = match[2] || '';
-      const fullMatch = match[0];
-      
-      if (!seen.has(name)) {
-        placeholders.push({ name, defaultValue, syntax: 'brace', fullMatch });
-        seen.add(name);
+    if (templates.length === 0) return;
+
+    try {
+      const separator = typeof this.settings?.multiPromptSeparator === 'string' ? this.settings.multiPromptSeparator : '\n\n';
+      await this.fillAndInsert(PromptTemplate.join(templates, separator), prompts.map(prompt => prompt.id), 'form');
+    } catch (error) {
+      // Past this point the prompts are filled in together, so no single one is to blame
+      this.showMultiSelectionError(null, error);
+    }
+  }
+
+  // Selected prompts may have been filtered out of the list since they were picked, so the
+  // message names the one that failed and is shown on it if listed, else on the highlighted one
+  showMultiSelectionError(prompt, error) {
+    const listed = prompt && this.filteredPrompts.some(p => p.id === prompt.id);
+    const target = listed ? prompt : this.filteredPrompts[this.selectedIndex] || this.filteredPrompts[0];
+    if (target) {
+      this.showPromptError(target.id, prompt ? `"${prompt.name}": ${error.message}` : `Selected prompts: ${error.message}`);
+    }
+  }
+
+  // Template of a prompt, or null after showing why it can't be inserted (e.g. a broken include)
+  createTemplateOrShowError(prompt) {
+    try {
+      return this.createTemplate(prompt);
+    } catch (error) {
+      this.showPromptError(prompt.id, error.message);
+      return null;
+    }
+  }
+
+  // Keep the dropdown open and explain, in place of the prompt's preview, why it wasn't inserted
+  showPromptError(promptId, message) {
+    if (!this.isDropdownVisible) return;
+    this.promptError = { promptId, message };
+    this.renderDropdown(true);
+  }
+
+  /**
+   * Insert a template right away, or after its fields are filled in
+   * @param {PromptTemplate} template - Template to insert
+   * @param {string|string[]} promptId - Id of the prompt, or ids of prompts inserted together
+   * @param {string} mode - 'form' or 'inline', see PLACEHOLDER_MODES
+   */
+  async fillAndInsert(template, promptId, mode) {
+    // Context variables are filled in from the page, so they only show up as form fields when a page extract found nothing
+    const contextValues = await this.resolveContextVariables(template.getContextVariables());
+    const fields = this.getFormPlaceholders(template, contextValues);
+
+    if (fields.length > 0 && mode === 'inline') {
+      this.insertAsSnippet(template, promptId, contextValues);
+    } else if (fields.length > 0) {
+      // Switch to placeholder collection phase, pre-filled with remembered values
+      const history = await this.loadPlaceholderHistory(promptId);
+      this.showPlaceholderForm(template, promptId, contextValues, history);
+    } else {
+      // No placeholders - insert immediately
+      const content = template.render({
+        context: (token) => contextValues[token.name],
+        cursor: () => this.CONSTANTS.SNIPPET_MARKERS.CURSOR,
+        isFilled: (name) => Boolean(contextValues[name])
+      });
+      this.insertPrompt(content, promptId);
+    }
+  }
+
+  // Value typed for a placeholder, falling back to its default
+  getPlaceholderValue(name) {
+    const placeholder = this.placeholders.find(p => p.name === name);
+    return this.placeholderValues[name] || (placeholder && placeholder.defaultValue) || '';
+  }
+
+  // Validation messages by placeholder name, for fields that currently fail their rules
+  getPlaceholderErrors() {
+    const errors = {};
+    this.placeholders.forEach(placeholder => {
+      const error = this.currentTemplate.validate(placeholder, this.getPlaceholderValue(placeholder.name));
+      if (error) {
+        errors[placeholder.name] = error;
       }
+    });
+    return errors;
+  }
+
+  // Value of a context variable, or what was typed into the fallback field of an empty page extract
+  getContextValue(name) {
+    return this.contextValues[name] || this.placeholderValues[name] || '';
+  }
+
+  // Form fields: the template's placeholders plus a fallback for each page extract that matched nothing
+  getFormPlaceholders(template, contextValues) {
+    const fallbacks = template.getContextVariables()
+      .map(name => PromptTemplate.parsePageVariable(name))
+      .filter(page => page && !contextValues[page.name])
+      .map(page => ({
+        name: page.name,
+        label: `${page.selector} (not found on page)`,
+        type: 'text',
+        options: [],
+        defaultValue: '',
+        required: false,
+        rules: template.parseRules(''),
+        syntax: 'page',
+        fullMatch: `{{${page.name}}}`
+      }));
+    return [...template.getPlaceholders(), ...fallbacks];
+  }
+
+  // Whether {{#if name}} holds and an optional {name?} line is kept
+  isTemplateValueFilled(name) {
+    const value = name in this.contextValues ? this.getContextValue(name) : this.getPlaceholderValue(name);
+    return Boolean(value && value.trim());
+  }
+
+  // 'form' or 'inline'; a prompt's own mode wins over the global setting
+  getPlaceholderMode(prompt) {
+    return prompt.placeholderMode || this.settings?.placeholderMode || 'form';
+  }
+
+  // A prompt's own placeholder syntax wins over the global setting
+  getPlaceholderSyntax(prompt) {
+    return prompt.placeholderSyntax || this.settings?.placeholderSyntax || 'mixed';
+  }
+
+  // Template for a prompt with {{> Name}} includes expanded from the prompt library
+  createTemplate(prompt) {
+    return new PromptTemplate(prompt.content, {
+      syntax: this.getPlaceholderSyntax(prompt),
+      resolveInclude: (name) => {
+        const included = (this.settings?.prompts || []).find(p => p.name.toLowerCase() === name.toLowerCase());
+        return included ? { content: included.content, syntax: this.getPlaceholderSyntax(included) } : null;
+      }
+    });
+  }
+
+  /**
+   * Read the values of built-in context variables
+   * @param {string[]} names - Variables used by the prompt, from PromptTemplate.getContextVariables
+   * @returns {Promise<Object>} Map of variable name to value
+   */
+  async resolveContextVariables(names) {
+    const resolvers = {
+      url: () => window.location.href,
+      title: () => document.title,
+      date: () => new Date().toLocaleDateString(),
+      time: () => new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      selection: () => this.getSelectedText(),
+      clipboard: async () => {
+        try {
+          return await navigator.clipboard.readText();
+        } catch (error) {
+          // Clipboard access denied or unavailable
+          return '';
+        }
+      }
+    };
+
+    const values = {};
+    for (const name of names) {
+      const page = PromptTemplate.parsePageVariable(name);
+      values[name] = page ? this.extractPageContent(page) : await resolvers[name]();
     }
-    
-    return placeholders;
+    return values;
+  }
+
+  /**
+   * Text of the elements matching a page extract's selector (or their attribute values),
+   * joined by blank lines and cut to the configured length. An invalid selector is
+   * treated like one that matches nothing.
+   * @param {{selector: string, attribute: string}} page - From PromptTemplate.parsePageVariable
+   * @returns {string}
+   */
+  extractPageContent({ selector, attribute }) {
+    let elements;
+    try {
+      elements = Array.from(document.querySelectorAll(selector));
+    } catch (error) {
+      return '';
+    }
+
+    const text = elements
+      .filter(element => !(this.dropdown && this.dropdown.contains(element)))
+      .map(element => (attribute ? element.getAttribute(attribute) : element.innerText || element.textContent) || '')
+      .map(value => value.trim())
+      .filter(Boolean)
+      .join('\n\n')
+      .replace(/\n{3,}/g, '\n\n');
+
+    const maxLength = this.settings?.pageContentMaxLength || 2000;
+    return text.length > maxLength ? `${text.slice(0, maxLength).trimEnd()}…` : text;
+  }
+
+  // Selected text in the active input, or else the last selection made on the page
+  getSelectedText() {
+    const input = this.activeInput;
+    if (input && typeof input.selectionStart === 'number' && input.selectionStart !== input.selectionEnd) {
+      return input.value.slice(input.selectionStart, input.selectionEnd);
+    }
+    return this.lastPageSelection;
+  }
+
+  /**
+   * Remembered values for the focused field, most recent first. While the field holds a
+   * remembered value every other one is offered; typed text narrows the list.
+   * @returns {string[]}
+   */
+  getPlaceholderSuggestions() {
+    const placeholder = this.placeholders[this.currentPlaceholderIndex];
+    if (!placeholder || !['line', 'text'].includes(placeholder.type)) {
+      return [];
+    }
+
+    const history = this.placeholderHistory[placeholder.name] || [];
+    const value = this.placeholderValues[placeholder.name] || '';
+    const query = history.includes(value) ? '' : value.toLowerCase();
+    return history
+      .filter(item => item !== value && item.toLowerCase().includes(query))
+      .slice(0, 5);
+  }
+
+  applySuggestion(value) {
+    const placeholder = this.placeholders[this.currentPlaceholderIndex];
+    if (!placeholder || value === undefined) return;
+
+    this.placeholderValues[placeholder.name] = value;
+    this.suggestionIndex = -1;
+    this.renderDropdown(true);
+    this.resources.setTimeout(() => {
+      this.updatePreview();
+      this.focusCurrentPlaceholder();
+    }, 10);
+  }
+
+  // Storage scope for remembered values, or null when history is turned off
+  getPlaceholderHistoryScope(promptId) {
+    switch (this.settings?.placeholderHistory || 'global') {
+      case 'off':
+        return null;
+      case 'prompt':
+        // Prompts inserted together (an array of ids) share no prompt's history
+        return typeof promptId === 'string' && promptId ? `prompt:${promptId}` : null;
+      case 'site':
+        return `site:${window.location?.hostname || ''}`;
+      default:
+        return 'global';
+    }
+  }
+
+  async loadPlaceholderHistory(promptId) {
+    const scope = this.getPlaceholderHistoryScope(promptId);
+    if (!scope) return {};
+    const history = await this.sendMessage({ action: 'getPlaceholderHistory', scope });
+    return history && !history.error ? history : {};
   }
 
   navigateToNextPlaceholder() {
     if (this.currentPlaceholderIndex < this.placeholders.length - 1) {
       this.currentPlaceholderIndex++;
+      this.suggestionIndex = -1;
       this.renderDropdown(true); // Re-render to update active state, skip positioning
       // Update preview and focus after render is complete
       this.resources.setTimeout(() => {
@@ -2257,6 +3023,7 @@ class AIPromptAutocomplete {
   navigateToPreviousPlaceholder() {
     if (this.currentPlaceholderIndex > 0) {
       this.currentPlaceholderIndex--;
+      this.suggestionIndex = -1;
       this.renderDropdown(true); // Re-render to update active state, skip positioning
       // Update preview and focus after render is complete
       this.resources.setTimeout(() => {
@@ -2282,16 +3049,39 @@ class AIPromptAutocomplete {
   }
 
   insertPromptWithPlaceholders() {
-    let finalContent = this.currentPromptContent;
+    const promptId = this.currentPromptId;
+
+    // Invalid fields block insertion; show every error and go to the first one
+    const errors = this.getPlaceholderErrors();
+    const firstInvalid = this.placeholders.findIndex(placeholder => errors[placeholder.name]);
+    if (firstInvalid !== -1) {
+      this.showPlaceholderErrors = true;
+      this.currentPlaceholderIndex = firstInvalid;
+      this.suggestionIndex = -1;
+      this.renderDropdown(true);
+      this.updatePreview();
+      this.focusCurrentPlaceholder();
+      return;
+    }
     
-    // Replace all placeholders with their values
-    this.placeholders.forEach(placeholder => {
-      const value = this.placeholderValues[placeholder.name] || placeholder.defaultValue || '';
-      const regex = placeholder.syntax === 'bracket' 
-        ? new RegExp(`\\[${this.escapeRegex(placeholder.name)}(?::[^\\]]*)?\\]`, 'g')
-        : new RegExp(`\\{${this.escapeRegex(placeholder.name)}(?::[^\\}]*)?\\}`, 'g');
-      finalContent = finalContent.replace(regex, value);
+    // Replace all placeholders with their (transformed) values; values are never re-parsed
+    const finalContent = this.currentTemplate.render({
+      placeholder: (token) => this.currentTemplate.transformValue(this.getPlaceholderValue(token.name), token),
+      context: (token) => this.getContextValue(token.name),
+      cursor: () => this.CONSTANTS.SNIPPET_MARKERS.CURSOR,
+      isFilled: (name) => this.isTemplateValueFilled(name)
     });
+
+    const historyScope = this.getPlaceholderHistoryScope(promptId);
+    if (historyScope) {
+      const values = {};
+      this.placeholders
+        .filter(placeholder => placeholder.syntax !== 'page')
+        .forEach(placeholder => {
+          values[placeholder.name] = this.placeholderValues[placeholder.name] || '';
+        });
+      this.sendMessage({ action: 'recordPlaceholderValues', scope: historyScope, values });
+    }
     
     // Store original dropdown mode state before resetting placeholder mode
     const originalDropdownMode = this.isInDropdownMode;
@@ -2308,14 +3098,16 @@ class AIPromptAutocomplete {
     this.dropdownModeStartPosition = originalDropdownModeStartPosition;
     this.dropdownModeLastCursorPos = originalDropdownModeLastCursorPos;
     
-    this.insertPrompt(finalContent);
+    this.insertPrompt(finalContent, promptId);
   }
 
   /**
    * Insert prompt content into the active input, handling different editor types
    * @param {string} content - The prompt content to insert
+   * @param {string|string[]|null} promptId - Id of the inserted prompt (or prompts), used for usage tracking
+   * @param {Object|null} snippet - { template, tokens } for an inline snippet; tokens match the stop markers
    */
-  insertPrompt(content) {
+  insertPrompt(content, promptId = null, snippet = null) {
     const perfTimer = this.performanceMonitor.startTimer('prompt_insertion');
     
     try {
@@ -2347,12 +3139,18 @@ class AIPromptAutocomplete {
         processedContent = content.replace(/\r?\n/g, ' ').replace(/\s+/g, ' ').trim();
       }
 
+      // Caret and snippet stop markers become offsets; they never reach the page
+      const markers = this.extractSnippetMarkers(processedContent);
+      processedContent = markers.text;
+
       // If contenteditable and likely controlled by an editor (e.g., ProseMirror),
       // operate via selection + execCommand to let the editor handle DOM/state.
       if (this.activeInput.isContentEditable || this.activeInput.contentEditable === 'true') {
         const inputToRestoreFocus = this.activeInput;
         
         if (this.insertIntoContentEditable(processedContent)) {
+          this.applyInsertionMarkers(inputToRestoreFocus, markers, snippet);
+          this.recordPromptUsage(promptId);
           this.resetDropdownMode();
           this.resources.setTimeout(() => { this.justInsertedPrompt = false; }, this.CONSTANTS.TIMEOUTS.RESET_FLAG_DELAY);
           this.restoreFocusAfterDelay(inputToRestoreFocus);
@@ -2377,6 +3175,8 @@ class AIPromptAutocomplete {
           }
         }, 50);
 
+        this.applyInsertionMarkers(inputToRestoreFocus, markers, snippet);
+        this.recordPromptUsage(promptId);
         this.resetDropdownMode();
         this.resources.setTimeout(() => { this.justInsertedPrompt = false; }, this.CONSTANTS.TIMEOUTS.RESET_FLAG_DELAY);
         this.restoreFocusAfterDelay(inputToRestoreFocus, 100);
@@ -2395,6 +3195,304 @@ class AIPromptAutocomplete {
     }
   }
 
+  /**
+   * Insert a prompt with its placeholders left in the text, like an editor snippet. Each
+   * placeholder shows its default value (or its name) and becomes a Tab stop. Values are
+   * typed afterwards, so conditional sections and optional lines are kept as if filled.
+   */
+  insertAsSnippet(template, promptId, contextValues) {
+    const markers = this.CONSTANTS.SNIPPET_MARKERS;
+    const tokens = [];
+    const addStop = (token, label) => {
+      tokens.push(token);
+      return `${markers.STOP_START}${tokens.length - 1}${markers.STOP_LABEL}${label}${markers.STOP_END}`;
+    };
+
+    const content = template.render({
+      placeholder: (token) => addStop(token, token.defaultValue || token.name),
+      // A page extract that found nothing becomes a stop to fill in by hand
+      context: (token) => (token.selector && !contextValues[token.name]
+        ? addStop({ ...token, transforms: [], defaultValue: '' }, token.selector)
+        : contextValues[token.name]),
+      cursor: () => markers.CURSOR,
+      isFilled: (name) => Boolean(contextValues[name]) || !(name in contextValues) || name.startsWith('page:')
+    });
+
+    this.insertPrompt(content, promptId, { template, tokens });
+  }
+
+  /**
+   * Strip caret and Tab stop markers from content about to be inserted
+   * @param {string} content - Rendered prompt, possibly containing SNIPPET_MARKERS
+   * @returns {{text: string, cursor: number|null, stops: Array<{index: number, start: number, end: number}>}}
+   */
+  extractSnippetMarkers(content) {
+    const markers = this.CONSTANTS.SNIPPET_MARKERS;
+    let text = '';
+    let cursor = null;
+    const stops = [];
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (char === markers.CURSOR) {
+        // The first marker wins
+        if (cursor === null) cursor = text.length;
+      } else if (char === markers.STOP_START) {
+        const labelStart = content.indexOf(markers.STOP_LABEL, i);
+        stops.push({ index: Number(content.slice(i + 1, labelStart)), start: text.length, end: text.length });
+        i = labelStart;
+      } else if (char === markers.STOP_END) {
+        stops[stops.length - 1].end = text.length;
+      } else {
+        text += char;
+      }
+    }
+
+    return { text, cursor, stops };
+  }
+
+  // Put the caret on {{cursor}}, or start an inline snippet session on the first stop
+  applyInsertionMarkers(input, markers, snippet) {
+    const inserted = this.lastInsertedRange;
+    this.snippet = null;
+    if (!inserted || (markers.cursor === null && markers.stops.length === 0)) return;
+
+    const toOffset = this.getInsertionOffsetMapper(markers.text, inserted);
+    if (!toOffset) return;
+
+    const cursor = markers.cursor === null ? inserted.end : toOffset(markers.cursor);
+    if (markers.stops.length === 0 || !snippet) {
+      this.inputManager.setCursorPosition(input, cursor);
+      return;
+    }
+
+    this.snippet = {
+      input,
+      template: snippet.template,
+      stops: markers.stops.map(stop => ({
+        token: snippet.tokens[stop.index],
+        name: snippet.tokens[stop.index].name,
+        label: markers.text.slice(stop.start, stop.end),
+        start: toOffset(stop.start),
+        end: toOffset(stop.end)
+      })),
+      index: 0,
+      cursor,
+      length: this.getSnippetTextLength(input),
+      values: {} // Raw text typed per placeholder name
+    };
+    this.selectSnippetStop(0);
+  }
+
+  /**
+   * Map offsets in the inserted text to offsets in the field. Rich editors turn line
+   * breaks into elements, which no longer count as characters.
+   * @returns {Function|null} offset => field offset, or null if the insertion can't be mapped
+   */
+  getInsertionOffsetMapper(text, inserted) {
+    const length = inserted.end - inserted.start;
+    if (length === text.length) {
+      return (offset) => inserted.start + offset;
+    }
+    const countNewlines = (value) => (value.match(/\n/g) || []).length;
+    if (length === text.length - countNewlines(text)) {
+      return (offset) => inserted.start + offset - countNewlines(text.slice(0, offset));
+    }
+    return null;
+  }
+
+  // Text length in the same units as InputManager cursor offsets
+  getSnippetTextLength(input) {
+    if (input.tagName === 'INPUT' || input.tagName === 'TEXTAREA') {
+      return input.value.length;
+    }
+    return (input.textContent || '').length;
+  }
+
+  getSnippetText(input, start, end) {
+    const text = input.tagName === 'INPUT' || input.tagName === 'TEXTAREA' ? input.value : (input.textContent || '');
+    return text.slice(start, end);
+  }
+
+  handleSnippetKeydown(e) {
+    if (this.inputManager.getEditableRoot(e.target) !== this.snippet.input) {
+      return false;
+    }
+    if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      return this.moveSnippet(e.shiftKey ? -1 : 1);
+    }
+    if (e.key === 'Escape') {
+      this.finishSnippet(false);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Account for what was typed into the current stop: grow or shrink it, shift the stops
+   * after it and copy the value into mirrored stops (same name) with their own transforms.
+   * An edit outside the current stop ends the session.
+   * @returns {boolean} Whether the session is still active
+   */
+  syncSnippet() {
+    const snippet = this.snippet;
+    if (!snippet || this.isUpdatingSnippet) return Boolean(snippet);
+    if (!document.body.contains(snippet.input)) {
+      this.snippet = null;
+      return false;
+    }
+
+    const stop = snippet.stops[snippet.index];
+    const delta = this.getSnippetTextLength(snippet.input) - snippet.length;
+    const caret = this.inputManager.getCursorPosition(snippet.input);
+    if (stop.end + delta < stop.start || caret < stop.start || caret > stop.end + delta) {
+      this.snippet = null;
+      return false;
+    }
+
+    this.shiftSnippetStops(stop.end, delta, snippet.index);
+    stop.end += delta;
+    snippet.length += delta;
+
+    // Passing over an untouched stop leaves its label alone
+    const value = this.getSnippetText(snippet.input, stop.start, stop.end);
+    const isEdited = snippet.values[stop.name] !== undefined || value !== stop.label;
+    if (isEdited && snippet.values[stop.name] !== value) {
+      snippet.values[stop.name] = value;
+      const caretInStop = caret - stop.start;
+      snippet.stops.forEach((mirror, index) => {
+        if (index !== snippet.index && mirror.name === stop.name) {
+          this.writeSnippetStop(index, snippet.template.transformValue(value, mirror.token));
+        }
+      });
+      this.inputManager.setCursorPosition(snippet.input, stop.start + caretInStop);
+    }
+    return true;
+  }
+
+  // Move stops (and the final caret position) at or after `offset` by `delta`
+  shiftSnippetStops(offset, delta, exceptIndex = -1) {
+    if (delta === 0) return;
+    this.snippet.stops.forEach((stop, index) => {
+      if (index !== exceptIndex && stop.start >= offset) {
+        stop.start += delta;
+        stop.end += delta;
+      }
+    });
+    if (this.snippet.cursor >= offset) {
+      this.snippet.cursor += delta;
+    }
+  }
+
+  // Replace a stop's text in the field, keeping every offset in step
+  writeSnippetStop(index, text) {
+    const snippet = this.snippet;
+    const stop = snippet.stops[index];
+    const delta = text.length - (stop.end - stop.start);
+    if (this.getSnippetText(snippet.input, stop.start, stop.end) === text) return;
+
+    this.isUpdatingSnippet = true;
+    try {
+      const input = snippet.input;
+      if (input.tagName === 'INPUT' || input.tagName === 'TEXTAREA') {
+        input.setRangeText(text, stop.start, stop.end, 'end');
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+      } else {
+        // Let the editor apply the change so its own model stays in sync
+        this.setSelectionByOffsets(input, stop.start, stop.end);
+        document.execCommand(text ? 'insertText' : 'delete', false, text);
+      }
+    } finally {
+      this.isUpdatingSnippet = false;
+    }
+
+    const oldEnd = stop.end;
+    stop.end = stop.start + text.length;
+    this.shiftSnippetStops(oldEnd, delta, index);
+    snippet.length += delta;
+  }
+
+  /**
+   * Select a stop. The stop being left gets its transforms applied, and one being
+   * re-entered shows the raw value again so it can be edited.
+   */
+  selectSnippetStop(index) {
+    const snippet = this.snippet;
+    this.applySnippetTransforms(snippet.index);
+    snippet.index = index;
+    const stop = snippet.stops[index];
+    if (snippet.values[stop.name] !== undefined && stop.token.transforms.length > 0) {
+      this.writeSnippetStop(index, snippet.values[stop.name]);
+    }
+
+    if (snippet.input.tagName === 'INPUT' || snippet.input.tagName === 'TEXTAREA') {
+      snippet.input.setSelectionRange(stop.start, stop.end);
+    } else {
+      this.setSelectionByOffsets(snippet.input, stop.start, stop.end);
+    }
+  }
+
+  applySnippetTransforms(index) {
+    const snippet = this.snippet;
+    const stop = snippet.stops[index];
+    const value = snippet.values[stop.name];
+    if (value !== undefined && stop.token.transforms.length > 0) {
+      this.writeSnippetStop(index, snippet.template.transformValue(value, stop.token));
+    }
+  }
+
+  // Tab visits the first occurrence of each name; past the last one it finishes on {{cursor}} (or the end of the prompt)
+  moveSnippet(step) {
+    // Clicking elsewhere and pressing Tab is a normal Tab
+    if (!this.syncSnippet()) return false;
+
+    const stops = this.snippet.stops;
+    const isFirstOccurrence = (index) => stops.findIndex(stop => stop.name === stops[index].name) === index;
+    let next = this.snippet.index + step;
+    while (next > 0 && next < stops.length && !isFirstOccurrence(next)) {
+      next += step;
+    }
+
+    if (next >= stops.length) {
+      this.finishSnippet(true);
+    } else {
+      this.selectSnippetStop(Math.max(0, next));
+    }
+    return true;
+  }
+
+  finishSnippet(moveToCursor) {
+    if (!this.syncSnippet()) return;
+
+    const snippet = this.snippet;
+    const stop = snippet.stops[snippet.index];
+    this.applySnippetTransforms(snippet.index);
+    this.inputManager.setCursorPosition(snippet.input, moveToCursor ? snippet.cursor : stop.end);
+    this.snippet = null;
+  }
+
+  // Report a successful insertion to the background for frecency ordering
+  recordPromptUsage(promptId) {
+    if (!promptId) return;
+    if (Array.isArray(promptId)) {
+      promptId.forEach(id => this.recordPromptUsage(id));
+      return;
+    }
+
+    const hostname = window.location?.hostname || '';
+    // Update the local copy right away so the next dropdown reflects it without a round trip
+    const entry = this.promptUsage[promptId] || { count: 0, lastUsed: null, sites: {} };
+    this.promptUsage = {
+      ...this.promptUsage,
+      [promptId]: {
+        count: entry.count + 1,
+        lastUsed: new Date().toISOString(),
+        sites: hostname ? { ...entry.sites, [hostname]: (entry.sites?.[hostname] || 0) + 1 } : entry.sites
+      }
+    };
+
+    this.sendMessage({ action: 'recordPromptUsage', id: promptId, hostname });
+  }
 
   hideDropdown() {
     if (this.dropdown) {
@@ -2414,6 +3512,8 @@ class AIPromptAutocomplete {
     }
     this.isDropdownVisible = false;
     this.selectedIndex = -1;
+    this.promptError = null;
+    this.multiSelection = [];
     
     // Only restore focus if it's appropriate and won't interfere with other elements
     // Focus restoration after insertion is handled separately in insertion methods
@@ -2670,6 +3770,9 @@ class AIPromptAutocomplete {
       this.removeFilterRegion();
     }
 
+    // Offsets around the insertion let markers in the content be mapped back onto the editor
+    const insertionStart = this.inputManager.getCursorPosition(this.activeInput);
+
     // Insert text via execCommand (widely supported by editors)
     try {
       const success = document.execCommand('insertText', false, processedContent);
@@ -2693,6 +3796,7 @@ class AIPromptAutocomplete {
         return false;
       }
     }
+    this.lastInsertedRange = { start: insertionStart, end: this.inputManager.getCursorPosition(this.activeInput) };
 
     // Dispatch input event to notify frameworks
     try {
@@ -2778,6 +3882,7 @@ class AIPromptAutocomplete {
 
     this.inputManager.setInputValue(this.activeInput, newValue);
     this.inputManager.setCursorPosition(this.activeInput, newCursorPos);
+    this.lastInsertedRange = { start: newCursorPos - processedContent.length, end: newCursorPos };
     return true;
   }
 }
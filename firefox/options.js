@@ -1,10 +1,432 @@
 // Options page script for managing prompts and settings
+
+/**
+ * Converts prompt libraries to and from the supported file formats. Every parser returns
+ * `{ schemaVersion, prompts }` in the export shape; validation and schema migration of
+ * the result happen in the background, the same as for JSON files.
+ */
+class PromptFileFormats {
+  constructor() {
+    this.formats = {
+      json: { extensions: ['json'], mimeType: 'application/json' },
+      markdown: { extensions: ['md', 'markdown'], mimeType: 'text/markdown' },
+      csv: { extensions: ['csv'], mimeType: 'text/csv' },
+      yaml: { extensions: ['yaml', 'yml'], mimeType: 'application/x-yaml' }
+    };
+  }
+
+  // Format for a file name by extension, or null when it is not recognized
+  detectFormat(fileName) {
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+    return Object.keys(this.formats).find(format => this.formats[format].extensions.includes(extension)) || null;
+  }
+
+  serialize(format, exportData) {
+    switch (format) {
+      case 'markdown': return this.toMarkdown(exportData.prompts);
+      case 'csv': return this.toCsv(exportData.prompts);
+      case 'yaml': return this.toYaml(exportData);
+      default: return JSON.stringify(exportData, null, 2);
+    }
+  }
+
+  parse(format, text) {
+    // Files saved on Windows or by spreadsheets may carry a BOM and CRLF line endings
+    text = text.replace(/^\uFEFF/, '');
+    switch (format) {
+      case 'markdown': return { prompts: this.fromMarkdown(text.replace(/\r\n?/g, '\n')) };
+      case 'csv': return { prompts: this.fromCsv(text) };
+      case 'yaml': return this.fromYaml(text.replace(/\r\n?/g, '\n'));
+      default: return JSON.parse(text);
+    }
+  }
+
+  // Markdown bundle: each prompt is a front matter block (name, tags, ...) followed by its content.
+  // Content lines that are `---` (or already escaped as `\---`, `\\---`, ...) get one more
+  // backslash, so no line of content can be mistaken for a front matter fence.
+
+  toMarkdown(prompts) {
+    return prompts.map(prompt => {
+      const frontMatter = [`name: ${this.yamlString(prompt.name)}`];
+      if (prompt.tags && prompt.tags.length > 0) {
+        frontMatter.push(`tags: [${prompt.tags.map(tag => this.yamlString(tag)).join(', ')}]`);
+      }
+      if (prompt.pinned) {
+        frontMatter.push('pinned: true');
+      }
+      if (prompt.placeholderSyntax) {
+        frontMatter.push(`placeholderSyntax: ${prompt.placeholderSyntax}`);
+      }
+      if (prompt.placeholderMode) {
+        frontMatter.push(`placeholderMode: ${prompt.placeholderMode}`);
+      }
+      const content = prompt.content.replace(/^(\\*---)$/gm, '\\$1');
+      return `---\n${frontMatter.join('\n')}\n---\n${content}\n`;
+    }).join('\n');
+  }
+
+  fromMarkdown(text) {
+    const lines = text.split('\n');
+    const prompts = [];
+    let body = null;
+
+    // Drop the newline ending the content or, between prompts, the blank separator line
+    const finishPrompt = () => {
+      if (body) {
+        body.prompt.content = body.lines.join('\n').replace(/\n$/, '').replace(/^\\(\\*---)$/gm, '$1');
+        prompts.push(body.prompt);
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      // A prompt starts at a `---` fenced block that parses as front matter with a name;
+      // any other `---` line, such as a rule in hand-written content, is content
+      const close = lines[i] === '---' ? lines.indexOf('---', i + 1) : -1;
+      const frontMatter = close === -1 ? null : this.parseFrontMatter(lines.slice(i + 1, close));
+      if (frontMatter) {
+        finishPrompt();
+        body = { prompt: frontMatter, lines: [] };
+        i = close;
+      } else if (body) {
+        body.lines.push(lines[i]);
+      }
+    }
+    finishPrompt();
+
+    if (prompts.length === 0) {
+      throw new Error('No prompts with front matter found in Markdown file');
+    }
+    return prompts;
+  }
+
+  // Front matter fields of a prompt, or null when the lines are not a mapping with a name
+  parseFrontMatter(lines) {
+    let fields;
+    try {
+      fields = this.parseYamlMapping(lines, 0);
+    } catch (error) {
+      return null;
+    }
+    if (fields.name === undefined || fields.name === null || fields.name === '') {
+      return null;
+    }
+    return { ...fields, name: String(fields.name), tags: this.parseTagList(fields.tags) };
+  }
+
+  // Tags written as a list or as one comma separated string ("review, code")
+  parseTagList(tags) {
+    return typeof tags === 'string' ? tags.split(',') : tags;
+  }
+
+  // CSV: a header row with name, content and tags columns; tags are comma separated inside their cell.
+  // Fields that a spreadsheet would run as a formula (starting with =, +, -, @, tab or CR)
+  // are written with a leading apostrophe, which is removed again on import.
+
+  toCsv(prompts) {
+    const rows = [['name', 'content', 'tags']].concat(prompts.map(prompt => [
+      prompt.name,
+      prompt.content,
+      (prompt.tags || []).join(', ')
+    ]));
+    return rows.map(row => row.map(field => this.csvField(field)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  csvField(value) {
+    if (/^'*[=+\-@\t\r]/.test(value)) {
+      value = `'${value}`;
+    }
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  fromCsv(text) {
+    const rows = this.parseCsvRows(text).filter(row => row.some(field => field.trim()));
+    if (rows.length < 2) {
+      throw new Error('CSV file has no prompt rows');
+    }
+
+    const header = rows[0].map(column => column.trim().toLowerCase());
+    const column = (name) => header.indexOf(name);
+    if (column('name') === -1 || column('content') === -1) {
+      throw new Error('CSV file needs "name" and "content" columns');
+    }
+
+    const field = (row, name) => (row[column(name)] || '').replace(/^'('*[=+\-@\t\r])/, '$1');
+    return rows.slice(1).map(row => ({
+      name: field(row, 'name'),
+      content: field(row, 'content'),
+      tags: column('tags') === -1 ? [] : field(row, 'tags').split(',')
+    }));
+  }
+
+  // RFC 4180 rows; quoted fields may contain commas, quotes ("") and line breaks
+  parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // YAML: the export object with multi-line content written as literal blocks
+
+  toYaml(exportData) {
+    const lines = [
+      `exportDate: ${this.yamlString(exportData.exportDate)}`,
+      `version: ${this.yamlString(exportData.version)}`,
+      `schemaVersion: ${exportData.schemaVersion}`,
+      'prompts:'
+    ];
+
+    exportData.prompts.forEach(prompt => {
+      lines.push(`  - name: ${this.yamlString(prompt.name)}`);
+      lines.push(`    tags: [${(prompt.tags || []).map(tag => this.yamlString(tag)).join(', ')}]`);
+      lines.push(`    pinned: ${Boolean(prompt.pinned)}`);
+      if (prompt.placeholderSyntax) {
+        lines.push(`    placeholderSyntax: ${prompt.placeholderSyntax}`);
+      }
+      if (prompt.placeholderMode) {
+        lines.push(`    placeholderMode: ${prompt.placeholderMode}`);
+      }
+      lines.push(`    content: ${this.yamlBlock(prompt.content, '      ')}`);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // JSON strings are valid YAML double-quoted scalars
+  yamlString(value) {
+    return JSON.stringify(String(value));
+  }
+
+  yamlBlock(content, indent) {
+    // Literal blocks cannot express every string (leading spaces, carriage returns, blank content)
+    if (!content.includes('\n') || /^[ \t]/.test(content) || content.includes('\r') || !content.trim()) {
+      return this.yamlString(content);
+    }
+
+    const trailing = content.match(/\n*$/)[0].length;
+    const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    const body = trailing === 0 ? content : content.slice(0, -1);
+    const lines = body.split('\n').map(line => (line ? indent + line : ''));
+    return `|${chomping}\n${lines.join('\n')}`;
+  }
+
+  // Supports the YAML subset prompt files use: mappings, block and flow lists, quoted and block scalars
+  fromYaml(text) {
+    const lines = text.replace(/\n$/, '').split('\n');
+    const firstLine = lines.find(line => line.trim() && !line.trim().startsWith('#'));
+    if (!firstLine) {
+      throw new Error('YAML file is empty');
+    }
+
+    // Either a bare list of prompts or a mapping with a `prompts` list
+    const parsed = firstLine.trim().startsWith('- ')
+      ? { prompts: this.parseYamlList(lines, 0, lines.length).value }
+      : this.parseYamlMapping(lines, 0);
+    if (!Array.isArray(parsed.prompts)) {
+      throw new Error('Invalid file format: prompts list not found');
+    }
+    return {
+      ...parsed,
+      prompts: parsed.prompts.map(prompt => (prompt && typeof prompt === 'object' ? { ...prompt, tags: this.parseTagList(prompt.tags) } : prompt))
+    };
+  }
+
+  parseYamlMapping(lines, start, end = lines.length) {
+    const mapping = {};
+    let i = start;
+
+    while (i < end) {
+      const line = lines[i];
+      // Blank lines and comments between entries
+      if (!line.trim() || line.trim().startsWith('#')) {
+        i++;
+        continue;
+      }
+
+      const indent = line.search(/\S/);
+      const match = line.slice(indent).match(/^([A-Za-z_][\w-]*):(?:\s+(.*))?$/);
+      if (!match) {
+        throw new Error(`Unsupported YAML on line ${i + 1}: ${line.trim()}`);
+      }
+
+      const [, key, rawValue = ''] = match;
+      const value = rawValue.trim();
+      i++;
+
+      if (/^[|>]/.test(value)) {
+        const block = this.parseYamlBlockScalar(lines, i, end, indent, value);
+        mapping[key] = block.value;
+        i = block.next;
+      } else if (value) {
+        mapping[key] = this.parseYamlScalar(value);
+      } else {
+        // Nested list or mapping on the following, more indented lines
+        const childEnd = this.findYamlChildEnd(lines, i, end, indent);
+        const firstChild = lines.slice(i, childEnd).find(child => child.trim());
+        if (!firstChild) {
+          mapping[key] = null;
+        } else if (firstChild.trim().startsWith('-')) {
+          mapping[key] = this.parseYamlList(lines, i, childEnd).value;
+        } else {
+          mapping[key] = this.parseYamlMapping(lines, i, childEnd);
+        }
+        i = childEnd;
+      }
+    }
+    return mapping;
+  }
+
+  parseYamlList(lines, start, end) {
+    const items = [];
+    let i = start;
+
+    while (i < end) {
+      const line = lines[i];
+      // Blank lines and comments between entries
+      if (!line.trim() || line.trim().startsWith('#')) {
+        i++;
+        continue;
+      }
+
+      const indent = line.search(/\S/);
+      if (!line.slice(indent).startsWith('-')) {
+        throw new Error(`Unsupported YAML on line ${i + 1}: ${line.trim()}`);
+      }
+
+      const itemEnd = this.findYamlChildEnd(lines, i + 1, end, indent);
+      const rest = line.slice(indent + 1).replace(/^\s+/, '');
+      if (/^[A-Za-z_][\w-]*:(\s|$)/.test(rest)) {
+        // "- key: value" starts a mapping whose keys line up with the text after the dash
+        const keyIndent = line.length - line.slice(indent + 1).replace(/^\s+/, '').length;
+        const itemLines = [' '.repeat(keyIndent) + rest, ...lines.slice(i + 1, itemEnd)];
+        items.push(this.parseYamlMapping(itemLines, 0));
+      } else {
+        items.push(this.parseYamlScalar(rest));
+      }
+      i = itemEnd;
+    }
+    return { value: items, next: i };
+  }
+
+  // Index of the first line at or after `start` that is not indented deeper than `parentIndent`
+  findYamlChildEnd(lines, start, end, parentIndent) {
+    let i = start;
+    while (i < end && (!lines[i].trim() || lines[i].search(/\S/) > parentIndent)) {
+      i++;
+    }
+    return i;
+  }
+
+  parseYamlBlockScalar(lines, start, end, parentIndent, header) {
+    const [, style, chomping = '', explicitIndent] = header.match(/^([|>])([+-]?)(\d?)/);
+    let i = start;
+    let contentIndent = explicitIndent ? parentIndent + Number(explicitIndent) : null;
+    const blockLines = [];
+
+    while (i < end) {
+      const line = lines[i];
+      if (line.trim()) {
+        const indent = line.search(/\S/);
+        if (contentIndent === null) contentIndent = indent;
+        if (indent < contentIndent || indent <= parentIndent) break;
+      }
+      blockLines.push(line.slice(contentIndent || 0));
+      i++;
+    }
+
+    let value = style === '|' ? blockLines.join('\n') + '\n' : this.foldYamlLines(blockLines);
+
+    if (chomping === '-') {
+      value = value.replace(/\n+$/, '');
+    } else if (chomping === '') {
+      value = value.replace(/\n+$/, '\n');
+    }
+    return { value, next: i };
+  }
+
+  // Folded blocks join consecutive lines with spaces; each blank line becomes a line break
+  foldYamlLines(blockLines) {
+    let folded = '';
+    blockLines.forEach((line, i) => {
+      if (!line) {
+        folded += '\n';
+      } else {
+        folded += i > 0 && blockLines[i - 1] ? ` ${line}` : line;
+      }
+    });
+    return folded + '\n';
+  }
+
+  parseYamlScalar(value) {
+    if (value.startsWith('"')) {
+      return JSON.parse(value);
+    }
+    if (value.startsWith("'")) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[')) {
+      const inner = value.slice(1, -1).trim();
+      return inner ? inner.match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g)
+        .map(item => this.parseYamlScalar(item.trim()))
+        .filter(item => item !== '') : [];
+    }
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+      return Number(value);
+    }
+    // Plain scalar; a trailing " # comment" is not part of the value
+    return value.replace(/\s+#.*$/, '');
+  }
+}
+
 class OptionsManager {
   constructor() {
     this.settings = null;
+    this.promptUsage = {};
     this.editingPromptId = null;
+    this.editingRevision = 0; // Revision of the prompt when its editor was opened
     this.deletingPromptId = null;
+    this.historyPromptId = null;
+    this.historyRevisions = [];
+    this.selectedRevisionIndex = -1;
     this.isRecordingHotkey = false;
+    this.pendingRetry = null;
+    this.pendingImport = null;
+    this.fileFormats = new PromptFileFormats();
     this.init();
   }
 
@@ -38,13 +460,18 @@ class OptionsManager {
     const title = document.getElementById('modal-title');
     const nameInput = document.getElementById('prompt-name');
     const contentInput = document.getElementById('prompt-content');
+    const tagsInput = document.getElementById('prompt-tags');
 
     title.textContent = 'Save Selected Text as Prompt';
     title.setAttribute('data-context', 'selection');
     nameInput.value = '';
     contentInput.value = content;
+    tagsInput.value = '';
+    document.getElementById('prompt-syntax-select').value = '';
+    document.getElementById('prompt-mode-select').value = '';
 
     this.updateCharacterCount(contentInput.value.length);
+    this.renderTokenPreview();
     modal.style.display = 'flex';
     nameInput.focus();
   }
@@ -62,6 +489,32 @@ class OptionsManager {
     } catch (error) {
       this.showError('Failed to load settings');
     }
+    await this.loadStorageStatus();
+    await this.loadPromptUsage();
+  }
+
+  async loadPromptUsage() {
+    try {
+      const usage = await browser.runtime.sendMessage({ action: 'getPromptUsage' });
+      this.promptUsage = usage && !usage.error ? usage : {};
+    } catch (error) {
+      this.promptUsage = {};
+    }
+  }
+
+  async loadStorageStatus() {
+    try {
+      const status = await browser.runtime.sendMessage({ action: 'getStorageStatus' });
+      const warning = document.getElementById('storage-warning');
+      if (status && status.warning) {
+        warning.textContent = `⚠️ ${status.warning}`;
+        warning.style.display = 'block';
+      } else {
+        warning.style.display = 'none';
+      }
+    } catch (error) {
+      // Storage status unavailable
+    }
   }
 
   renderUI() {
@@ -74,6 +527,25 @@ class OptionsManager {
     document.getElementById('text-trigger-input').value = this.settings.textTrigger || 'AI:';
     document.getElementById('show-info-bar-checkbox').checked = this.settings.showInfoBar !== false;
     document.getElementById('show-mouse-buttons-checkbox').checked = this.settings.showMouseButtons !== false;
+    document.getElementById('sort-order-select').value = this.settings.promptSortOrder || 'frecency';
+    document.getElementById('preview-pane-select').value = this.settings.previewPane || 'off';
+    document.getElementById('multi-separator-input').value = this.formatSeparator(
+      typeof this.settings.multiPromptSeparator === 'string' ? this.settings.multiPromptSeparator : '\n\n'
+    );
+    document.getElementById('trash-retention-input').value = this.settings.trashRetentionDays || 30;
+    document.getElementById('page-content-length-input').value = this.settings.pageContentMaxLength || 2000;
+    document.getElementById('placeholder-syntax-select').value = this.settings.placeholderSyntax || 'mixed';
+    document.getElementById('placeholder-history-select').value = this.settings.placeholderHistory || 'global';
+    document.getElementById('placeholder-mode-select').value = this.settings.placeholderMode || 'form';
+  }
+
+  // Separators are edited on one line: line breaks and tabs are written as \n and \t
+  formatSeparator(separator) {
+    return separator.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+  }
+
+  parseSeparator(text) {
+    return text.replace(/\\([\\nt])/g, (match, char) => ({ n: '\n', t: '\t', '\\': '\\' })[char]);
   }
 
   renderPrompts() {
@@ -97,28 +569,42 @@ class OptionsManager {
 
   createPromptCard(prompt) {
     const card = document.createElement('div');
-    card.className = 'prompt-card';
+    card.className = `prompt-card ${prompt.pinned ? 'pinned' : ''}`;
     card.innerHTML = `
       <div class="prompt-header">
-        <h4 class="prompt-name">${this.escapeHtml(prompt.name)}</h4>
+        <h4 class="prompt-name">
+          <button class="pin-btn ${prompt.pinned ? 'active' : ''}" data-id="${prompt.id}"
+            title="${prompt.pinned ? 'Unpin' : 'Pin to top of dropdown'}">${prompt.pinned ? '★' : '☆'}</button>
+          ${this.escapeHtml(prompt.name)}
+        </h4>
         <div class="prompt-actions">
           <button class="btn btn-small btn-secondary edit-btn" data-id="${prompt.id}">Edit</button>
+          <button class="btn btn-small btn-secondary history-btn" data-id="${prompt.id}">History</button>
           <button class="btn btn-small btn-danger delete-btn" data-id="${prompt.id}">Delete</button>
         </div>
       </div>
       <div class="prompt-content">
         ${this.escapeHtml(this.truncateToLines(prompt.content, 4))}
       </div>
+      ${this.renderTagList(prompt.tags)}
       <div class="prompt-meta">
-        Created: ${new Date(prompt.created).toLocaleDateString()}
+        Created: ${new Date(prompt.created).toLocaleDateString()}${this.formatUsage(this.promptUsage[prompt.id])}
       </div>
     `;
 
     // Add event listeners
+    card.querySelector('.pin-btn').addEventListener('click', () => {
+      this.togglePin(prompt.id);
+    });
+
     card.querySelector('.edit-btn').addEventListener('click', () => {
       this.editPrompt(prompt.id);
     });
 
+    card.querySelector('.history-btn').addEventListener('click', () => {
+      this.showHistory(prompt.id);
+    });
+
     card.querySelector('.delete-btn').addEventListener('click', () => {
       this.showDeleteConfirmation(prompt.id);
     });
@@ -126,12 +612,28 @@ class OptionsManager {
     return card;
   }
 
+  formatUsage(usage) {
+    if (!usage || !usage.count) return '';
+    const times = usage.count === 1 ? 'once' : `${usage.count} times`;
+    return ` · Used ${times}, last ${new Date(usage.lastUsed).toLocaleDateString()}`;
+  }
+
+  renderTagList(tags) {
+    if (!Array.isArray(tags) || tags.length === 0) return '';
+    const items = tags.map(tag => `<span class="prompt-tag">#${this.escapeHtml(tag)}</span>`).join('');
+    return `<div class="prompt-tags">${items}</div>`;
+  }
+
   setupEventListeners() {
     // Settings
     document.getElementById('save-settings-btn').addEventListener('click', () => {
       this.saveSettings();
     });
 
+    document.getElementById('clear-placeholder-history-btn').addEventListener('click', () => {
+      this.clearPlaceholderHistory();
+    });
+
     // Hotkey recording
     const hotkeyInput = document.getElementById('hotkey-input');
     hotkeyInput.addEventListener('click', () => {
@@ -156,6 +658,49 @@ class OptionsManager {
       this.importPrompts(e.target.files[0]);
     });
 
+    // Trash
+    document.getElementById('trash-btn').addEventListener('click', () => {
+      this.showTrash();
+    });
+
+    document.getElementById('close-trash-modal').addEventListener('click', () => {
+      this.hideTrashModal();
+    });
+
+    document.getElementById('cancel-trash-btn').addEventListener('click', () => {
+      this.hideTrashModal();
+    });
+
+    document.getElementById('empty-trash-btn').addEventListener('click', () => {
+      this.emptyTrash();
+    });
+
+    // Import preview modal
+    document.getElementById('close-import-modal').addEventListener('click', () => {
+      this.hideImportModal();
+    });
+
+    document.getElementById('cancel-import-btn').addEventListener('click', () => {
+      this.hideImportModal();
+    });
+
+    document.getElementById('confirm-import-btn').addEventListener('click', () => {
+      this.confirmImport();
+    });
+
+    // Conflict modal
+    document.getElementById('close-conflict-modal').addEventListener('click', () => {
+      this.hideConflictModal();
+    });
+
+    document.getElementById('cancel-conflict-btn').addEventListener('click', () => {
+      this.hideConflictModal();
+    });
+
+    document.getElementById('retry-conflict-btn').addEventListener('click', () => {
+      this.retryAfterConflict();
+    });
+
     // Prompt modal
     document.getElementById('close-modal').addEventListener('click', () => {
       this.hidePromptModal();
@@ -170,9 +715,14 @@ class OptionsManager {
       this.savePrompt();
     });
 
-    // Character counter
+    // Character counter and placeholder preview
     document.getElementById('prompt-content').addEventListener('input', (e) => {
       this.updateCharacterCount(e.target.value.length);
+      this.renderTokenPreview();
+    });
+
+    document.getElementById('prompt-syntax-select').addEventListener('change', () => {
+      this.renderTokenPreview();
     });
 
     // Delete modal
@@ -188,6 +738,19 @@ class OptionsManager {
       this.deletePrompt();
     });
 
+    // History modal
+    document.getElementById('close-history-modal').addEventListener('click', () => {
+      this.hideHistoryModal();
+    });
+
+    document.getElementById('cancel-history-btn').addEventListener('click', () => {
+      this.hideHistoryModal();
+    });
+
+    document.getElementById('restore-revision-btn').addEventListener('click', () => {
+      this.restoreRevision();
+    });
+
     // Modal backdrop clicks
     document.getElementById('prompt-modal').addEventListener('click', (e) => {
       if (e.target.id === 'prompt-modal') {
@@ -201,6 +764,30 @@ class OptionsManager {
       }
     });
 
+    document.getElementById('history-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'history-modal') {
+        this.hideHistoryModal();
+      }
+    });
+
+    document.getElementById('trash-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'trash-modal') {
+        this.hideTrashModal();
+      }
+    });
+
+    document.getElementById('import-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'import-modal') {
+        this.hideImportModal();
+      }
+    });
+
+    document.getElementById('conflict-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'conflict-modal') {
+        this.hideConflictModal();
+      }
+    });
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       if (this.isRecordingHotkey) {
@@ -208,6 +795,10 @@ class OptionsManager {
       } else if (e.key === 'Escape') {
         this.hidePromptModal();
         this.hideDeleteModal();
+        this.hideHistoryModal();
+        this.hideTrashModal();
+        this.hideConflictModal();
+        this.hideImportModal();
       }
     });
   }
@@ -233,24 +824,56 @@ class OptionsManager {
     try {
       const hotkey = document.getElementById('hotkey-input').value.trim();
       const textTrigger = document.getElementById('text-trigger-input').value.trim();
+      const trashRetentionDays = parseInt(document.getElementById('trash-retention-input').value, 10);
+      const pageContentMaxLength = parseInt(document.getElementById('page-content-length-input').value, 10);
 
       if (!hotkey) {
         this.showError('Hotkey cannot be empty');
         return;
       }
 
-      this.settings.hotkey = hotkey;
-      this.settings.textTrigger = textTrigger;
-      this.settings.showInfoBar = document.getElementById('show-info-bar-checkbox').checked;
-      this.settings.showMouseButtons = document.getElementById('show-mouse-buttons-checkbox').checked;
+      if (!trashRetentionDays || trashRetentionDays < 1) {
+        this.showError('Trash retention must be at least 1 day');
+        return;
+      }
 
-      await browser.runtime.sendMessage({ 
-        action: 'saveSettings', 
-        settings: this.settings 
-      });
+      if (!pageContentMaxLength || pageContentMaxLength < 100) {
+        this.showError('Page extracts limit must be at least 100 characters');
+        return;
+      }
+
+      // Send only the settings fields; prompts are never part of this write
+      const changes = {
+        hotkey,
+        textTrigger,
+        showInfoBar: document.getElementById('show-info-bar-checkbox').checked,
+        showMouseButtons: document.getElementById('show-mouse-buttons-checkbox').checked,
+        promptSortOrder: document.getElementById('sort-order-select').value,
+        previewPane: document.getElementById('preview-pane-select').value,
+        multiPromptSeparator: this.parseSeparator(document.getElementById('multi-separator-input').value),
+        placeholderSyntax: document.getElementById('placeholder-syntax-select').value,
+        placeholderHistory: document.getElementById('placeholder-history-select').value,
+        placeholderMode: document.getElementById('placeholder-mode-select').value,
+        pageContentMaxLength,
+        trashRetentionDays
+      };
+
+      this.settings = await this.sendMutation({
+        action: 'updateSettings',
+        settings: changes
+      }, this.settings.revision || 0);
 
       this.showSuccess('Settings saved successfully');
     } catch (error) {
+      if (error.code === 'STALE_REVISION') {
+        // Keep the form values, reload everything else, then save again
+        this.showConflict(async () => {
+          await this.loadSettings();
+          this.renderPrompts();
+          await this.saveSettings();
+        });
+        return;
+      }
       this.showError('Failed to save settings');
     }
   }
@@ -286,28 +909,102 @@ class OptionsManager {
 
   showPromptModal(prompt = null) {
     this.editingPromptId = prompt ? prompt.id : null;
+    this.editingRevision = prompt ? prompt.revision || 0 : 0;
     
     const modal = document.getElementById('prompt-modal');
     const title = document.getElementById('modal-title');
     const nameInput = document.getElementById('prompt-name');
     const contentInput = document.getElementById('prompt-content');
+    const tagsInput = document.getElementById('prompt-tags');
+    const syntaxSelect = document.getElementById('prompt-syntax-select');
+    const modeSelect = document.getElementById('prompt-mode-select');
 
     if (prompt) {
       title.textContent = 'Edit Prompt';
       nameInput.value = prompt.name;
       contentInput.value = prompt.content;
+      tagsInput.value = (prompt.tags || []).join(', ');
+      syntaxSelect.value = prompt.placeholderSyntax || '';
+      modeSelect.value = prompt.placeholderMode || '';
     } else {
       title.textContent = 'Add New Prompt';
       nameInput.value = '';
       contentInput.value = '';
+      tagsInput.value = '';
+      syntaxSelect.value = '';
+      modeSelect.value = '';
     }
 
     title.removeAttribute('data-context');
     this.updateCharacterCount(contentInput.value.length);
+    this.renderTokenPreview();
     modal.style.display = 'flex';
     nameInput.focus();
   }
 
+  // Show the prompt content with the tokens that will become form fields or page values marked
+  renderTokenPreview() {
+    const content = document.getElementById('prompt-content').value;
+    const syntax = document.getElementById('prompt-syntax-select').value || this.settings.placeholderSyntax;
+    const template = new PromptTemplate(content, { syntax });
+    const preview = document.getElementById('placeholder-token-preview');
+
+    const placeholders = template.getPlaceholders();
+    const contextVariables = template.getContextVariables();
+    const includes = template.getIncludes();
+    if (placeholders.length === 0 && contextVariables.length === 0 && includes.length === 0 && !template.hasCursor()) {
+      preview.innerHTML = '<small>No placeholders: this prompt is inserted as written</small>';
+      return;
+    }
+
+    const marked = template.render({
+      text: (token) => this.escapeHtml(token.value),
+      placeholder: (token) => {
+        const transforms = token.transforms.map(({ name, argument }) => (argument ? `${name}:${argument}` : name));
+        const rules = [
+          token.required && 'required',
+          token.rules.minLength && `at least ${token.rules.minLength} characters`,
+          token.rules.maxLength && `at most ${token.rules.maxLength} characters`,
+          token.rules.pattern && `pattern ${token.rules.pattern}`
+        ].filter(Boolean);
+        const title = `Field: ${token.name} (${[token.type, ...rules, ...transforms].join(', ')})`;
+        return `<mark class="token-placeholder" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}">${this.escapeHtml(token.raw)}</mark>`;
+      },
+      context: (token) => {
+        const title = token.selector ? `Text of ${token.selector}${token.attribute ? ` (${token.attribute})` : ''} on the page` : 'Filled in from the page';
+        return `<mark class="token-context" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}">${this.escapeHtml(token.raw)}</mark>`;
+      },
+      cursor: (token) => `<mark class="token-context" title="Caret position after insertion">${this.escapeHtml(token.raw)}</mark>`,
+      include: (token) => `<mark class="token-include" title="Replaced by the prompt &quot;${this.escapeHtml(token.name)}&quot;">${this.escapeHtml(token.raw)}</mark>`,
+      block: (token) => this.escapeHtml(token.line || token.raw).replace(
+        this.escapeHtml(token.raw),
+        () => `<mark class="token-block" title="Conditional section">${this.escapeHtml(token.raw)}</mark>`
+      )
+    });
+
+    const summary = [];
+    if (placeholders.length > 0) {
+      summary.push(`Fields: ${placeholders.map(p => this.escapeHtml(p.name)).join(', ')}`);
+    }
+    if (contextVariables.length > 0) {
+      summary.push(`Filled in automatically: ${contextVariables.join(', ')}`);
+    }
+    if (includes.length > 0) {
+      // Included prompts' fields are not listed; they join this prompt's form when inserting
+      const names = (this.settings.prompts || []).map(prompt => prompt.name.toLowerCase());
+      const missing = includes.filter(name => !names.includes(name.toLowerCase()));
+      summary.push(`Includes: ${includes.map(name => this.escapeHtml(name)).join(', ')}`);
+      if (missing.length > 0) {
+        summary.push(`<span class="token-error">Not found: ${missing.map(name => this.escapeHtml(name)).join(', ')}</span>`);
+      }
+    }
+
+    preview.innerHTML = `
+      <small>${summary.join(' • ')}</small>
+      <pre class="token-preview-content">${marked}</pre>
+    `;
+  }
+
   hidePromptModal() {
     document.getElementById('prompt-modal').style.display = 'none';
     this.editingPromptId = null;
@@ -317,6 +1014,10 @@ class OptionsManager {
     try {
       const name = document.getElementById('prompt-name').value.trim();
       const content = document.getElementById('prompt-content').value.trim();
+      // The background normalizes tags ('#', case, spaces) the same way for every source
+      const tags = document.getElementById('prompt-tags').value.split(',');
+      const placeholderSyntax = document.getElementById('prompt-syntax-select').value;
+      const placeholderMode = document.getElementById('prompt-mode-select').value;
 
       if (!name || !content) {
         this.showError('Please fill in all fields');
@@ -340,15 +1041,15 @@ class OptionsManager {
         }
       }
 
-      const promptData = { name, content };
+      const promptData = { name, content, tags, placeholderSyntax, placeholderMode };
 
       if (this.editingPromptId) {
-        // Update existing prompt
-        await browser.runtime.sendMessage({
+        // Update existing prompt, rejected if it may have changed since this page loaded
+        await this.sendMutation({
           action: 'updatePrompt',
           id: this.editingPromptId,
           prompt: promptData
-        });
+        }, this.editingRevision);
         this.showSuccess('Prompt updated successfully');
       } else {
         // Add new prompt
@@ -363,10 +1064,82 @@ class OptionsManager {
       this.renderPrompts();
       this.hidePromptModal();
     } catch (error) {
+      if (error.code === 'STALE_REVISION') {
+        // The modal stays open with the user's edits, which are saved again on fresh data
+        this.showConflict(async () => {
+          await this.loadSettings();
+          this.renderPrompts();
+          const current = this.settings.prompts.find(p => p.id === this.editingPromptId);
+          this.editingRevision = current ? current.revision || 0 : 0;
+          await this.savePrompt();
+        });
+        return;
+      }
       this.showError('Failed to save prompt');
     }
   }
 
+  async togglePin(id) {
+    const prompt = this.settings.prompts.find(p => p.id === id);
+    if (!prompt) return;
+
+    try {
+      await this.sendMessage({
+        action: 'updatePrompt',
+        id,
+        prompt: { pinned: !prompt.pinned }
+      });
+    } catch (error) {
+      this.showError('Failed to update prompt');
+    }
+    // Show the stored pin state whether or not the change went through
+    await this.loadSettings();
+    this.renderPrompts();
+  }
+
+  /**
+   * Send a mutation that overwrites existing data along with the revision it is based on
+   * @param {Object} message - Runtime message for the background
+   * @param {number} expectedRevision - Revision of the settings or prompt being overwritten
+   * @returns {Promise<*>} Background response; throws with error.code 'STALE_REVISION' on conflicts
+   */
+  async sendMutation(message, expectedRevision) {
+    return this.sendMessage({ ...message, expectedRevision });
+  }
+
+  /**
+   * Send a runtime message to the background, which answers failures with { error, code }
+   * @param {Object} message - Runtime message for the background
+   * @returns {Promise<*>} Background response; throws an Error carrying `code` on failure
+   */
+  async sendMessage(message) {
+    const response = await browser.runtime.sendMessage(message);
+    if (response && response.error) {
+      const error = new Error(response.error);
+      error.code = response.code;
+      throw error;
+    }
+    return response;
+  }
+
+  showConflict(retry) {
+    this.pendingRetry = retry;
+    document.getElementById('conflict-modal').style.display = 'flex';
+  }
+
+  hideConflictModal() {
+    document.getElementById('conflict-modal').style.display = 'none';
+    this.pendingRetry = null;
+  }
+
+  async retryAfterConflict() {
+    const retry = this.pendingRetry;
+    this.hideConflictModal();
+    if (retry) {
+      await retry();
+    }
+  }
+
   editPrompt(id) {
     const prompt = this.settings.prompts.find(p => p.id === id);
     if (prompt) {
@@ -396,20 +1169,252 @@ class OptionsManager {
     try {
       if (!this.deletingPromptId) return;
 
-      await browser.runtime.sendMessage({
+      const id = this.deletingPromptId;
+      await this.sendMessage({
         action: 'deletePrompt',
-        id: this.deletingPromptId
+        id
       });
 
       await this.loadSettings();
       this.renderPrompts();
       this.hideDeleteModal();
-      this.showSuccess('Prompt deleted successfully');
+      this.showNotification('Prompt moved to trash', 'success', {
+        label: 'Undo',
+        onClick: () => this.restoreFromTrash(id)
+      });
+    } catch (error) {
+      this.showError('Failed to delete prompt');
+    }
+  }
+
+  async showTrash() {
+    try {
+      const trash = await browser.runtime.sendMessage({ action: 'getTrash' });
+      this.renderTrash(Array.isArray(trash) ? trash : []);
+      document.getElementById('trash-modal').style.display = 'flex';
+    } catch (error) {
+      this.showError('Failed to load trash');
+    }
+  }
+
+  hideTrashModal() {
+    document.getElementById('trash-modal').style.display = 'none';
+  }
+
+  renderTrash(trash) {
+    const list = document.getElementById('trash-list');
+    const emptyState = document.getElementById('trash-empty-state');
+    const days = this.settings.trashRetentionDays || 30;
+
+    document.getElementById('trash-retention-note').textContent =
+      `Deleted prompts are permanently removed after ${days} day${days === 1 ? '' : 's'}.`;
+    document.getElementById('empty-trash-btn').disabled = trash.length === 0;
+    list.innerHTML = '';
+    emptyState.style.display = trash.length === 0 ? 'block' : 'none';
+
+    // Most recently deleted first
+    [...trash].reverse().forEach(prompt => {
+      const card = document.createElement('div');
+      card.className = 'prompt-card';
+      card.innerHTML = `
+        <div class="prompt-header">
+          <h4 class="prompt-name">${this.escapeHtml(prompt.name)}</h4>
+          <div class="prompt-actions">
+            <button class="btn btn-small btn-secondary restore-btn">Restore</button>
+            <button class="btn btn-small btn-danger purge-btn">Delete Forever</button>
+          </div>
+        </div>
+        <div class="prompt-content">
+          ${this.escapeHtml(this.truncateToLines(prompt.content, 2))}
+        </div>
+        <div class="prompt-meta">
+          Deleted: ${new Date(prompt.deletedAt).toLocaleString()}
+        </div>
+      `;
+
+      card.querySelector('.restore-btn').addEventListener('click', async () => {
+        await this.restoreFromTrash(prompt.id);
+        this.showTrash();
+      });
+
+      card.querySelector('.purge-btn').addEventListener('click', () => {
+        this.purgeFromTrash(prompt.id);
+      });
+
+      list.appendChild(card);
+    });
+  }
+
+  async restoreFromTrash(id) {
+    try {
+      await this.sendMessage({ action: 'restoreFromTrash', id });
+
+      await this.loadSettings();
+      this.renderPrompts();
+      this.showSuccess('Prompt restored');
+    } catch (error) {
+      this.showError('Failed to restore prompt');
+    }
+  }
+
+  async purgeFromTrash(id) {
+    try {
+      await this.sendMessage({ action: 'purgeFromTrash', id });
+      await this.showTrash();
+      this.showSuccess('Prompt permanently deleted');
     } catch (error) {
       this.showError('Failed to delete prompt');
     }
   }
 
+  async emptyTrash() {
+    try {
+      await this.sendMessage({ action: 'emptyTrash' });
+      await this.showTrash();
+      this.showSuccess('Trash emptied');
+    } catch (error) {
+      this.showError('Failed to empty trash');
+    }
+  }
+
+  async clearPlaceholderHistory() {
+    try {
+      await this.sendMessage({ action: 'clearPlaceholderHistory' });
+      this.showSuccess('Remembered field values cleared');
+    } catch (error) {
+      this.showError('Failed to clear remembered values');
+    }
+  }
+
+  async showHistory(id) {
+    const prompt = this.settings.prompts.find(p => p.id === id);
+    if (!prompt) return;
+
+    try {
+      const history = await browser.runtime.sendMessage({ action: 'getPromptHistory', id });
+      this.historyPromptId = id;
+      // Prompts never edited since history was added have no stored revisions yet
+      this.historyRevisions = Array.isArray(history) && history.length > 0
+        ? history
+        : [{ timestamp: prompt.created, name: prompt.name, content: prompt.content }];
+
+      document.getElementById('history-modal-title').textContent = `History: ${prompt.name}`;
+      document.getElementById('history-modal').style.display = 'flex';
+      this.selectRevision(this.historyRevisions.length - 1);
+    } catch (error) {
+      this.showError('Failed to load prompt history');
+    }
+  }
+
+  hideHistoryModal() {
+    document.getElementById('history-modal').style.display = 'none';
+    this.historyPromptId = null;
+    this.historyRevisions = [];
+    this.selectedRevisionIndex = -1;
+  }
+
+  selectRevision(index) {
+    this.selectedRevisionIndex = index;
+    this.renderHistoryList();
+
+    const revision = this.historyRevisions[index];
+    const previous = this.historyRevisions[index - 1];
+    const diffContainer = document.getElementById('history-diff');
+
+    // Compare against the preceding revision; the first revision is shown as all-added
+    const nameChange = previous && previous.name !== revision.name
+      ? `<div class="diff-line diff-removed">- Name: ${this.escapeHtml(previous.name)}</div>` +
+        `<div class="diff-line diff-added">+ Name: ${this.escapeHtml(revision.name)}</div>`
+      : '';
+    const lines = this.diffLines(previous ? previous.content : '', revision.content);
+    diffContainer.innerHTML = nameChange + lines.map(line => {
+      const prefix = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+      return `<div class="diff-line diff-${line.type}">${prefix} ${this.escapeHtml(line.text)}</div>`;
+    }).join('');
+
+    // Restoring the latest revision would be a no-op
+    document.getElementById('restore-revision-btn').disabled = index === this.historyRevisions.length - 1;
+  }
+
+  renderHistoryList() {
+    const list = document.getElementById('history-list');
+    list.innerHTML = '';
+
+    // Newest first
+    for (let i = this.historyRevisions.length - 1; i >= 0; i--) {
+      const revision = this.historyRevisions[i];
+      const item = document.createElement('li');
+      item.className = `history-item ${i === this.selectedRevisionIndex ? 'selected' : ''}`;
+      item.innerHTML = `
+        <div class="history-item-date">${new Date(revision.timestamp).toLocaleString()}</div>
+        <div class="history-item-name">${this.escapeHtml(revision.name)}${i === this.historyRevisions.length - 1 ? ' (current)' : ''}</div>
+      `;
+      item.addEventListener('click', () => this.selectRevision(i));
+      list.appendChild(item);
+    }
+  }
+
+  async restoreRevision() {
+    if (!this.historyPromptId || this.selectedRevisionIndex < 0) return;
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'restorePromptRevision',
+        id: this.historyPromptId,
+        revisionIndex: this.selectedRevisionIndex
+      });
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadSettings();
+      this.renderPrompts();
+      this.hideHistoryModal();
+      this.showSuccess('Prompt restored to selected version');
+    } catch (error) {
+      this.showError('Failed to restore prompt');
+    }
+  }
+
+  /**
+   * Line diff based on the longest common subsequence of lines
+   * @param {string} oldText - Previous revision content
+   * @param {string} newText - Selected revision content
+   * @returns {Array<{type: string, text: string}>} Lines tagged 'same', 'added' or 'removed'
+   */
+  diffLines(oldText, newText) {
+    const oldLines = oldText ? oldText.split('\n') : [];
+    const newLines = newText ? newText.split('\n') : [];
+
+    // lcs[i][j] = length of the LCS of oldLines[i..] and newLines[j..]
+    const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        lcs[i][j] = oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+      if (oldLines[i] === newLines[j]) {
+        result.push({ type: 'same', text: oldLines[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'removed', text: oldLines[i++] });
+      } else {
+        result.push({ type: 'added', text: newLines[j++] });
+      }
+    }
+    while (i < oldLines.length) result.push({ type: 'removed', text: oldLines[i++] });
+    while (j < newLines.length) result.push({ type: 'added', text: newLines[j++] });
+    return result;
+  }
+
   updateCharacterCount(count) {
     const counter = document.getElementById('char-count');
     counter.textContent = `${count} / 5000 characters`;
@@ -424,7 +1429,13 @@ class OptionsManager {
     this.showNotification(message, 'error');
   }
 
-  showNotification(message, type) {
+  /**
+   * Show a toast notification
+   * @param {string} message - Text to display
+   * @param {string} type - 'success' or 'error'
+   * @param {Object} [action] - Optional button { label, onClick }, e.g. Undo
+   */
+  showNotification(message, type, action = null) {
     // Remove existing notifications
     const existing = document.querySelector('.notification');
     if (existing) {
@@ -434,13 +1445,24 @@ class OptionsManager {
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
     notification.textContent = message;
-    
+
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'notification-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        notification.remove();
+        action.onClick();
+      });
+      notification.appendChild(button);
+    }
+
     document.body.appendChild(notification);
-    
-    // Auto-remove after 3 seconds
+
+    // Auto-remove after 3 seconds, longer when there is an action to take
     setTimeout(() => {
       notification.remove();
-    }, 3000);
+    }, action ? 6000 : 3000);
   }
 
   exportPrompts() {
@@ -448,15 +1470,18 @@ class OptionsManager {
       const exportData = {
         exportDate: new Date().toISOString(),
         version: "1.0",
+        schemaVersion: this.settings.schemaVersion,
         prompts: this.settings.prompts || []
       };
 
-      const dataStr = JSON.stringify(exportData, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
+      const format = document.getElementById('file-format-select').value;
+      const { extensions, mimeType } = this.fileFormats.formats[format];
+      const dataStr = this.fileFormats.serialize(format, exportData);
+      const dataBlob = new Blob([dataStr], { type: mimeType });
       
       const link = document.createElement('a');
       link.href = URL.createObjectURL(dataBlob);
-      link.download = `ai-prompts-${new Date().toISOString().split('T')[0]}.json`;
+      link.download = `ai-prompts-${new Date().toISOString().split('T')[0]}.${extensions[0]}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -472,51 +1497,95 @@ class OptionsManager {
 
     try {
       const text = await file.text();
-      const importData = JSON.parse(text);
-      
-      // Validate import data structure
-      if (!importData.prompts || !Array.isArray(importData.prompts)) {
-        throw new Error('Invalid file format: prompts array not found');
+      // The file extension decides the format; unknown extensions use the selected one
+      const format = this.fileFormats.detectFormat(file.name) || document.getElementById('file-format-select').value;
+      const importData = this.fileFormats.parse(format, text);
+
+      // Validation and schema migration of the file happen in the background
+      const preview = await browser.runtime.sendMessage({
+        action: 'previewImport',
+        data: importData
+      });
+      if (!preview || preview.error) {
+        throw new Error(preview ? preview.error : 'No response from extension');
       }
 
-      // Validate prompt structure
-      const validPrompts = importData.prompts.filter(prompt => 
-        prompt && typeof prompt.name === 'string' && typeof prompt.content === 'string'
-      );
+      this.pendingImport = importData;
+      this.showImportPreview(preview);
+    } catch (error) {
+      this.showError(`Failed to import prompts: ${error.message}`);
+    }
 
-      if (validPrompts.length === 0) {
-        throw new Error('No valid prompts found in file');
-      }
+    // Clear the file input so the same file can be picked again
+    document.getElementById('import-file-input').value = '';
+  }
 
-      // Assign new IDs and timestamps to imported prompts
-      const newPrompts = validPrompts.map(prompt => ({
-        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-        name: prompt.name,
-        content: prompt.content,
-        created: new Date().toISOString()
-      }));
+  showImportPreview(preview) {
+    const renderGroup = (title, items, note, formatItem) => {
+      if (items.length === 0) return '';
+      const list = items.map(item => `<li>${formatItem(item)}</li>`).join('');
+      return `
+        <div class="import-group">
+          <h4>${title} (${items.length})</h4>
+          <small>${note}</small>
+          <ul>${list}</ul>
+        </div>
+      `;
+    };
+
+    document.getElementById('import-preview').innerHTML =
+      renderGroup('New', preview.new, 'Will be added', item => this.escapeHtml(item.name)) +
+      renderGroup('Identical', preview.identical, 'Already in your library, will be skipped',
+        item => this.escapeHtml(item.name)) +
+      renderGroup('Conflicting', preview.conflicts, 'Same name as an existing prompt, different content',
+        item => this.escapeHtml(item.name));
+
+    // The strategy only matters when there are conflicts
+    const strategy = document.getElementById('import-strategy');
+    strategy.style.display = preview.conflicts.length > 0 ? 'block' : 'none';
+    strategy.querySelector('input[value="skip"]').checked = true;
+
+    const nothingToImport = preview.new.length === 0 && preview.conflicts.length === 0;
+    document.getElementById('confirm-import-btn').disabled = nothingToImport;
+    document.getElementById('import-modal').style.display = 'flex';
+  }
 
-      // Add to existing prompts
-      this.settings.prompts = [...(this.settings.prompts || []), ...newPrompts];
-      
-      await browser.runtime.sendMessage({ 
-        action: 'saveSettings', 
-        settings: this.settings 
+  hideImportModal() {
+    document.getElementById('import-modal').style.display = 'none';
+    this.pendingImport = null;
+  }
+
+  async confirmImport() {
+    if (!this.pendingImport) return;
+
+    try {
+      const strategy = document.querySelector('input[name="import-strategy"]:checked').value;
+      const summary = await browser.runtime.sendMessage({
+        action: 'importPrompts',
+        data: this.pendingImport,
+        strategy
       });
+      if (!summary || summary.error) {
+        throw new Error(summary ? summary.error : 'No response from extension');
+      }
 
+      this.hideImportModal();
       await this.loadSettings();
       this.renderPrompts();
-      
-      this.showSuccess(`Imported ${newPrompts.length} prompts successfully`);
-      
-      // Clear the file input
-      document.getElementById('import-file-input').value = '';
+      this.showSuccess(this.formatImportSummary(summary));
     } catch (error) {
       this.showError(`Failed to import prompts: ${error.message}`);
-      document.getElementById('import-file-input').value = '';
     }
   }
 
+  formatImportSummary(summary) {
+    const parts = [`${summary.added} added`];
+    if (summary.overwritten) parts.push(`${summary.overwritten} overwritten`);
+    if (summary.renamed) parts.push(`${summary.renamed} added as copies`);
+    if (summary.skipped) parts.push(`${summary.skipped} skipped`);
+    return `Import complete: ${parts.join(', ')}`;
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
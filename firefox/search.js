@@ -0,0 +1,505 @@
+// Prompt search used by the content script's dropdown filters
+
+// Characters shown in a dropdown preview line
+const PREVIEW_LENGTH = 100;
+
+// Subsequence matching gives up after trying this many start positions
+const MAX_FUZZY_STARTS = 20;
+
+// Points for a query word found in a prompt's name or content
+const NAME_POINTS = { exact: 1000, start: 100, wordStart: 25, contains: 10 };
+const CONTENT_POINTS = { exact: 500, start: 50, wordStart: 15, contains: 5 };
+
+// Words as the index sees them; query words are looked up by these tokens' prefixes
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Scores prompts against a query and reports which characters matched.
+ *
+ * The query is split into words that may appear in any order; every word has to match
+ * the name or the content. Names match as substrings or, failing that, as subsequences
+ * ("sumrz" finds "Summarize"); content at the start of its words ("rev" finds "review")
+ * or, ranked lower, inside them ("script" finds "JavaScript"). PromptSearchIndex finds
+ * both through its word list instead of scanning every prompt. Match ranges are
+ * [start, end) pairs.
+ */
+class PromptSearch {
+  /**
+   * Search a prompt list once; keep a PromptSearchIndex to search the same prompts repeatedly
+   * @param {Array} prompts - Prompts to search
+   * @param {string} query - Text typed by the user
+   * @returns {Array<{prompt: Object, score: number, ranges: {name: number[][], content: number[][]}}>}
+   *   Matching prompts in their original order; an empty query matches everything with score 0
+   */
+  search(prompts, query) {
+    const index = new PromptSearchIndex(this);
+    index.update(prompts);
+    return index.find(query);
+  }
+
+  splitQuery(query) {
+    return (query || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Match one prompt. `fields` holds its lowercased name ({ nameLower }); content is
+   * matched by `matchContent(word, wordIndex, fields)`, which returns a match as matchText does.
+   * @returns {{prompt: Object, score: number, ranges: Object}|null} null when a word has no match
+   */
+  matchPrompt(prompt, fields, words, phrase, matchContent) {
+    const ranges = { name: [], content: [] };
+    let score = 0;
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      const name = this.matchText(fields.nameLower, word, NAME_POINTS) || this.matchSubsequence(fields.nameLower, word);
+      const content = matchContent(word, i, fields);
+      if (!name && !content) {
+        return null;
+      }
+      if (name) {
+        score += name.score;
+        ranges.name.push(...name.ranges);
+      }
+      if (content) {
+        score += content.score;
+        ranges.content.push(...content.ranges);
+      }
+    }
+
+    // Words typed in the order they appear in the name rank above scattered matches
+    if (words.length > 1 && fields.nameLower.includes(phrase)) {
+      score += 50;
+    }
+
+    // A single word's ranges are already ordered and apart
+    if (words.length > 1) {
+      ranges.name = this.mergeRanges(ranges.name);
+      ranges.content = this.mergeRanges(ranges.content);
+    }
+    return { prompt, score, ranges };
+  }
+
+  // Substring match: scored by its best occurrence. Occurrences are highlighted up to
+  // `rangeLimit` characters past the first one, which is as far as a preview reaches.
+  matchText(text, word, points, rangeLimit = Infinity) {
+    let index = text.indexOf(word);
+    if (index === -1) {
+      return null;
+    }
+
+    let score = points.contains;
+    if (text === word) {
+      score += points.exact;
+    }
+    if (index === 0) {
+      score += points.start;
+    }
+
+    const ranges = [];
+    const rangeEnd = index + rangeLimit;
+    let atWordStart = false;
+    while (index !== -1 && (index < rangeEnd || !atWordStart)) {
+      if (index < rangeEnd) {
+        ranges.push([index, index + word.length]);
+      }
+      atWordStart = atWordStart || this.isWordStart(text, index);
+      index = text.indexOf(word, index + word.length);
+    }
+    if (atWordStart) {
+      score += points.wordStart;
+    }
+    return { score, ranges };
+  }
+
+  // Characters of `word` in order, anywhere in `text`; runs and word starts score higher. Worth less than a substring match.
+  matchSubsequence(text, word) {
+    if (word.length < 2) {
+      return null;
+    }
+
+    let best = null;
+    let tries = 0;
+    for (let start = text.indexOf(word[0]); start !== -1 && tries < MAX_FUZZY_STARTS; start = text.indexOf(word[0], start + 1)) {
+      tries++;
+      const ranges = [];
+      let score = 0;
+      let position = start;
+      for (let i = 0; i < word.length; i++) {
+        const index = i === 0 ? start : text.indexOf(word[i], position);
+        if (index === -1) {
+          // A later start has even less text left to match in
+          return best;
+        }
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === index) {
+          last[1]++;
+          score += 2;
+        } else {
+          ranges.push([index, index + 1]);
+        }
+        if (this.isWordStart(text, index)) {
+          score += 3;
+        }
+        position = index + 1;
+      }
+      score -= ranges.length - 1;
+      if (!best || score > best.rawScore) {
+        best = { rawScore: score, score: Math.max(1, Math.min(9, score)), ranges };
+      }
+    }
+    return best;
+  }
+
+  isWordStart(text, index) {
+    if (index === 0) {
+      return true;
+    }
+    const code = text.charCodeAt(index - 1);
+    if (code < 128) {
+      // ASCII fast path: anything but a letter or digit separates words
+      return !((code >= 48 && code <= 57) || (code >= 97 && code <= 122) || (code >= 65 && code <= 90));
+    }
+    return /[^\p{L}\p{N}]/u.test(text[index - 1]);
+  }
+
+  // Sorted, with overlapping and touching ranges joined
+  mergeRanges(ranges) {
+    if (ranges.length < 2) {
+      return ranges;
+    }
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [sorted[0].slice()];
+    for (let i = 1; i < sorted.length; i++) {
+      const last = merged[merged.length - 1];
+      if (sorted[i][0] <= last[1]) {
+        last[1] = Math.max(last[1], sorted[i][1]);
+      } else {
+        merged.push(sorted[i].slice());
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * One-line preview of a prompt's content with whitespace collapsed. When the first
+   * match lies beyond the start, the excerpt begins shortly before it.
+   * @param {string} content - Prompt content
+   * @param {number[][]} ranges - Match ranges in `content`
+   * @returns {{text: string, ranges: number[][]}} Excerpt and the ranges that fall inside it
+   */
+  excerpt(content, ranges = [], maxLength = PREVIEW_LENGTH) {
+    // Collapse whitespace, remembering where each kept character came from; text well past
+    // the first match is never shown, so long prompts are not scanned to the end
+    const scanLimit = (ranges.length > 0 ? ranges[0][1] : 0) + maxLength * 2;
+    let collapsed = '';
+    const sourceIndex = [];
+    let i = 0;
+    for (; i < content.length && collapsed.length < scanLimit; i++) {
+      const isSpace = /\s/.test(content[i]);
+      if (isSpace && (collapsed === '' || collapsed.endsWith(' '))) {
+        continue;
+      }
+      collapsed += isSpace ? ' ' : content[i];
+      sourceIndex.push(i);
+    }
+    const isCut = i < content.length && content.slice(i).trim() !== '';
+    if (collapsed.endsWith(' ')) {
+      collapsed = collapsed.slice(0, -1);
+      sourceIndex.pop();
+    }
+
+    const toCollapsed = (index) => {
+      const position = sourceIndex.findIndex(source => source >= index);
+      return position === -1 ? collapsed.length : position;
+    };
+    const mapped = ranges.map(([start, end]) => [toCollapsed(start), toCollapsed(end)]).filter(([start, end]) => end > start);
+
+    let start = 0;
+    if (mapped.length > 0 && mapped[0][1] > maxLength) {
+      start = Math.max(0, mapped[0][0] - 20);
+    }
+    const prefix = start > 0 ? '…' : '';
+    const suffix = start + maxLength < collapsed.length || isCut ? '...' : '';
+    const text = collapsed.slice(start, start + maxLength);
+
+    return {
+      text: prefix + text + suffix,
+      ranges: mapped
+        .map(([rangeStart, rangeEnd]) => [Math.max(rangeStart, start) - start, Math.min(rangeEnd, start + maxLength) - start])
+        .filter(([rangeStart, rangeEnd]) => rangeEnd > rangeStart)
+        .map(([rangeStart, rangeEnd]) => [rangeStart + prefix.length, rangeEnd + prefix.length])
+    };
+  }
+}
+
+/**
+ * Search index of a prompt library, kept between keystrokes and updated as prompts change.
+ *
+ * Content is split into lowercased word tokens. Each token lists the prompts containing it
+ * with the offset of its first occurrence, and the sorted vocabulary finds every token a
+ * query word is a prefix of, so matching content costs as much as the matches rather than
+ * the size of the library. Names are short and still matched directly, fuzzily.
+ */
+class PromptSearchIndex {
+  constructor(search = new PromptSearch()) {
+    this.search = search;
+    this.entries = [];
+    this.entriesById = new Map();
+    this.postings = new Map(); // token -> [entry, offset, entry, offset, ...]
+    this.vocabulary = null; // Sorted tokens, rebuilt on the next find after tokens change
+    this.lastFind = null; // { words, tags, entries } of the previous find, for narrowing
+  }
+
+  /**
+   * Bring the index in line with the prompt list, keeping its order. Only prompts whose
+   * text or tags changed are re-tokenized.
+   * @param {Array} prompts - Current prompts
+   * @returns {number} How many prompts had to be re-indexed
+   */
+  update(prompts) {
+    const previous = this.entriesById;
+    let rebuilt = 0;
+
+    this.entriesById = new Map();
+    this.lastFind = null;
+    this.entries = (Array.isArray(prompts) ? prompts : []).map(prompt => {
+      let entry = previous.get(prompt.id);
+      if (entry && this.isCurrent(entry, prompt)) {
+        previous.delete(prompt.id);
+      } else {
+        entry = this.createEntry(prompt);
+        this.addPostings(entry);
+        rebuilt++;
+      }
+      entry.prompt = prompt;
+      this.entriesById.set(prompt.id, entry);
+      return entry;
+    });
+
+    // What is left was removed or replaced by a re-indexed copy
+    if (previous.size > 0) {
+      this.removePostings(new Set(previous.values()));
+    }
+    return rebuilt;
+  }
+
+  createEntry(prompt) {
+    const name = prompt.name || '';
+    const content = prompt.content || '';
+    const tags = Array.isArray(prompt.tags) ? prompt.tags : [];
+    return {
+      prompt,
+      name,
+      content,
+      tagKey: tags.join('\n'),
+      nameLower: name.toLowerCase(),
+      contentLower: content.toLowerCase(),
+      tags: tags.map(tag => String(tag).toLowerCase()),
+      tokens: [] // Distinct content tokens, to take the entry out of the postings again
+    };
+  }
+
+  // Same object, or an updated copy (e.g. new usage data or pin) with unchanged text
+  isCurrent(entry, prompt) {
+    if (entry.prompt === prompt) {
+      return true;
+    }
+    const tags = Array.isArray(prompt.tags) ? prompt.tags : [];
+    return entry.name === (prompt.name || '') &&
+      entry.content === (prompt.content || '') &&
+      entry.tagKey === tags.join('\n');
+  }
+
+  addPostings(entry) {
+    const seen = new Set();
+    for (const match of entry.contentLower.matchAll(TOKEN_PATTERN)) {
+      const token = match[0];
+      if (seen.has(token)) continue;
+      seen.add(token);
+
+      let posting = this.postings.get(token);
+      if (!posting) {
+        posting = [];
+        this.postings.set(token, posting);
+        this.vocabulary = null;
+      }
+      posting.push(entry, match.index);
+    }
+    entry.tokens = [...seen];
+  }
+
+  // Each affected posting is filtered once, however many of the entries it lists
+  removePostings(entries) {
+    const tokens = new Set();
+    entries.forEach(entry => entry.tokens.forEach(token => tokens.add(token)));
+
+    tokens.forEach(token => {
+      const posting = this.postings.get(token);
+      const kept = [];
+      for (let i = 0; i < posting.length; i += 2) {
+        if (!entries.has(posting[i])) {
+          kept.push(posting[i], posting[i + 1]);
+        }
+      }
+      if (kept.length > 0) {
+        this.postings.set(token, kept);
+      } else {
+        this.postings.delete(token);
+        this.vocabulary = null;
+      }
+    });
+  }
+
+  // Tokens starting with `prefix`, found by binary search in the sorted vocabulary
+  tokensWithPrefix(prefix) {
+    if (!this.vocabulary) {
+      this.vocabulary = [...this.postings.keys()].sort();
+    }
+    const vocabulary = this.vocabulary;
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (vocabulary[middle] < prefix) low = middle + 1;
+      else high = middle;
+    }
+    const tokens = [];
+    for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+      tokens.push(vocabulary[i]);
+    }
+    return tokens;
+  }
+
+  /**
+   * Where a query word starts a word in each prompt's content, and which prompts contain
+   * it inside a word
+   * @param {string} word - Lowercased query word
+   * @returns {{offsets: Map, inside: Set, exact: boolean}|null} First word start offset by
+   *   entry, and the entries with a word containing the query word elsewhere than at its
+   *   start; `exact` is false when the word goes on past its first token ("c++", "e.g")
+   *   and has to be checked in the text. null for words that do not start with a letter
+   *   or digit, which are searched for as plain substrings instead.
+   */
+  lookupContent(word) {
+    const key = word.match(/^[\p{L}\p{N}]+/u);
+    if (!key) {
+      return null;
+    }
+
+    const exact = key[0].length === word.length;
+    // "c++" needs the token "c" itself; "rev" any token starting with it
+    const tokens = exact ? this.tokensWithPrefix(key[0]) : (this.postings.has(key[0]) ? [key[0]] : []);
+
+    // Inside a word: "script" in "javascript", or "c++" after "abc". Not for single
+    // characters, which nearly every text contains somewhere.
+    const inside = new Set();
+    const isInside = token => (exact ? token.indexOf(key[0], 1) !== -1 : token.length > key[0].length && token.endsWith(key[0]));
+    if (word.length > 1) {
+      this.postings.forEach((posting, token) => {
+        if (!isInside(token)) return;
+        for (let i = 0; i < posting.length; i += 2) {
+          inside.add(posting[i]);
+        }
+      });
+    }
+
+    const offsets = new Map();
+    tokens.forEach(token => {
+      const posting = this.postings.get(token);
+      for (let i = 0; i < posting.length; i += 2) {
+        const previous = offsets.get(posting[i]);
+        if (previous === undefined || posting[i + 1] < previous) {
+          offsets.set(posting[i], posting[i + 1]);
+        }
+      }
+    });
+    return { offsets, inside, exact };
+  }
+
+  // Content match of `word` in an entry, using what lookupContent found for it
+  matchContent(entry, word, lookup) {
+    const text = entry.contentLower;
+    if (!lookup) {
+      return this.search.matchText(text, word, CONTENT_POINTS, PREVIEW_LENGTH);
+    }
+
+    let offset = lookup.offsets.get(entry);
+    if (offset !== undefined && !lookup.exact) {
+      // The first token is there; find where the whole word starts a word
+      while (offset !== -1 && (!text.startsWith(word, offset) || !this.search.isWordStart(text, offset))) {
+        offset = text.indexOf(word, offset + 1);
+      }
+    }
+    if (offset === undefined || offset === -1) {
+      // Never at a word start, so this scores as a plain substring match
+      return lookup.inside.has(entry) ? this.search.matchText(text, word, CONTENT_POINTS, PREVIEW_LENGTH) : null;
+    }
+
+    let score = CONTENT_POINTS.contains + CONTENT_POINTS.wordStart;
+    if (offset === 0) {
+      score += CONTENT_POINTS.start;
+    }
+    if (text === word) {
+      score += CONTENT_POINTS.exact;
+    }
+
+    // Highlight the word starts within a preview's reach of the first one
+    const ranges = [];
+    const rangeEnd = offset + PREVIEW_LENGTH;
+    for (let index = offset; index !== -1 && index < rangeEnd; index = text.indexOf(word, index + word.length)) {
+      if (this.search.isWordStart(text, index)) {
+        ranges.push([index, index + word.length]);
+      }
+    }
+    return { score, ranges };
+  }
+
+  /**
+   * Search the indexed prompts
+   * @param {string} query - Free text, matched as described for PromptSearch
+   * @param {string[]} tags - Lowercased tag prefixes a prompt must all carry
+   * @returns {Array} Results as returned by PromptSearch.search, in index order
+   */
+  find(query, tags = []) {
+    const words = this.search.splitQuery(query);
+    const phrase = words.join(' ');
+    const lookups = words.map(word => this.lookupContent(word));
+    const results = [];
+    const matched = [];
+
+    const matchContent = (word, i, entry) => this.matchContent(entry, word, lookups[i]);
+
+    const candidates = this.narrows(words, tags) ? this.lastFind.entries : this.entries;
+    for (const entry of candidates) {
+      // Tags match by prefix so '#rev' finds 'review'
+      if (tags.length > 0 && !tags.every(tag => entry.tags.some(promptTag => promptTag.startsWith(tag)))) {
+        continue;
+      }
+      const result = this.search.matchPrompt(entry.prompt, entry, words, phrase, matchContent);
+      if (result) {
+        results.push(result);
+        matched.push(entry);
+      }
+    }
+
+    this.lastFind = { words, tags, entries: matched };
+    return results;
+  }
+
+  /**
+   * Whether a query can only match a subset of what the previous one matched, as while
+   * typing: every earlier word and tag is a prefix of the one in its place. Anything
+   * matching "code" also matches "cod" (as a substring, word start or subsequence).
+   * A single character is the exception: it is not looked for inside content words,
+   * while what is typed after it is.
+   */
+  narrows(words, tags) {
+    const last = this.lastFind;
+    return Boolean(last) &&
+      words.length >= last.words.length &&
+      tags.length >= last.tags.length &&
+      last.words.every((word, i) => words[i].startsWith(word) && (word.length > 1 || words[i] === word)) &&
+      last.tags.every((tag, i) => tags[i].startsWith(tag));
+  }
+}
@@ -0,0 +1,498 @@
+// Prompt template parsing shared by the content script, the options page and the background
+
+// Placeholder syntaxes a prompt can use; 'mixed' accepts both [name] and {name}
+const PLACEHOLDER_SYNTAXES = ['mixed', 'brackets', 'braces', 'double-braces', 'none'];
+
+// Built-in variables filled in from the page at insertion time, e.g. {{url}}
+const CONTEXT_VARIABLES = ['url', 'title', 'date', 'time', 'selection', 'clipboard'];
+
+// How placeholders are filled: in a form above the field, or inline like editor snippets
+const PLACEHOLDER_MODES = ['form', 'inline'];
+
+// Placeholder names start with a letter and cannot contain code punctuation like quotes or semicolons
+const PLACEHOLDER_NAME_REGEX = /^[\p{L}_][\p{L}\p{N}_ .\-/']*$/u;
+
+// Value transforms written after the name, e.g. {name|upper} or {code|indent:4}
+const PLACEHOLDER_TRANSFORMS = ['upper', 'lower', 'trim', 'indent', 'quote', 'bullets'];
+
+// Include chains deeper than this are treated as runaway recursion
+const MAX_INCLUDE_DEPTH = 10;
+
+// Stands in for an empty optional placeholder until its line is removed
+const DROP_LINE_MARKER = '\u0000';
+
+/**
+ * A prompt's content split into text, placeholder, context variable, include and block tokens.
+ *
+ * Which delimiters start a placeholder depends on the syntax; a name ending in `?`
+ * ({name?}) marks an optional placeholder whose whole line is dropped while it is empty,
+ * one ending in `!` ({name!}) a required one, and `|transform` steps after the name
+ * ({name|trim|upper}) reformat the filled value.
+ * Context variables are always written {{name}}, page extracts {{page:selector}} or
+ * {{page:selector@attribute}}, includes {{> Prompt Name}},
+ * conditional blocks {{#if name}}...{{else}}...{{/if}} and {{cursor}} marks where the
+ * caret goes after insertion. A backslash before a delimiter
+ * (`\{`, `\[`) keeps it literal, and so do brackets used for indexing (`items[0]`),
+ * Markdown links (`[text](url)`) and `${...}` interpolation, so code samples survive
+ * without escaping. With the 'none' syntax the whole content is plain text, directives
+ * included, so Handlebars or Jinja templates can be inserted untouched.
+ */
+class PromptTemplate {
+  /**
+   * @param {string} content - Prompt content
+   * @param {Object} options
+   * @param {string} options.syntax - One of PLACEHOLDER_SYNTAXES, defaults to 'mixed'
+   * @param {Function} options.resolveInclude - Optional name => { content, syntax } or null.
+   *   When given, includes are expanded in place (recursively); without it they stay
+   *   as 'include' tokens.
+   * @throws {Error} code 'INCLUDE_MISSING' or 'INCLUDE_CYCLE' when expansion fails
+   */
+  constructor(content, { syntax = 'mixed', resolveInclude = null } = {}) {
+    this.content = content || '';
+    this.syntax = PLACEHOLDER_SYNTAXES.includes(syntax) ? syntax : 'mixed';
+    this.resolveInclude = resolveInclude;
+    this.tokens = this.tokenize(this.content, this.syntax, []);
+  }
+
+  /**
+   * @param {string} content - Text to split
+   * @param {string} syntax - Placeholder syntax for this text
+   * @param {string[]} includeStack - Names of the prompts being included, outermost first
+   */
+  tokenize(content, syntax, includeStack) {
+    // Inserted exactly as written: no placeholders, directives, includes or escapes
+    if (syntax === 'none') {
+      return content ? [{ kind: 'text', value: content }] : [];
+    }
+
+    const tokens = [];
+    let text = '';
+    let i = 0;
+
+    const flushText = () => {
+      if (text) {
+        tokens.push({ kind: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (i < content.length) {
+      const char = content[i];
+
+      // Escaped opening delimiter: drop the backslash, keep the character
+      if (char === '\\' && '{['.includes(content[i + 1])) {
+        text += content[i + 1];
+        i += 2;
+        continue;
+      }
+
+      const token = this.readToken(content, i, syntax);
+      if (token && token.kind === 'block') {
+        // A block tag alone on its line takes the whole line with it
+        const lineStart = content.lastIndexOf('\n', i - 1) + 1;
+        const lineEnd = content.indexOf('\n', i + token.raw.length);
+        const before = content.slice(lineStart, i);
+        const after = content.slice(i + token.raw.length, lineEnd === -1 ? content.length : lineEnd);
+        const standalone = !before.trim() && !after.trim() && text.endsWith(before);
+        let end = i + token.raw.length;
+        if (standalone) {
+          text = text.slice(0, text.length - before.length);
+          end = lineEnd === -1 ? content.length : lineEnd + 1;
+          // The whole line as written, for rendering the template without evaluating it
+          token.line = before + content.slice(i, end);
+        }
+        flushText();
+        tokens.push(token);
+        i = end;
+      } else if (token && token.kind === 'include' && this.resolveInclude) {
+        flushText();
+        tokens.push(...this.expandInclude(token.name, includeStack));
+        i += token.raw.length;
+      } else if (token) {
+        flushText();
+        tokens.push(token);
+        i += token.raw.length;
+      } else {
+        text += char;
+        i++;
+      }
+    }
+
+    flushText();
+    return tokens;
+  }
+
+  // Tokens of the included prompt, with its own placeholder syntax
+  expandInclude(name, includeStack) {
+    const chain = [...includeStack, name];
+    if (includeStack.some(included => included.toLowerCase() === name.toLowerCase()) ||
+        chain.length > MAX_INCLUDE_DEPTH) {
+      const error = new Error(`Prompt includes itself: ${chain.join(' → ')}`);
+      error.code = 'INCLUDE_CYCLE';
+      throw error;
+    }
+
+    const included = this.resolveInclude(name);
+    if (!included) {
+      const error = new Error(`Included prompt not found: "${name}"`);
+      error.code = 'INCLUDE_MISSING';
+      throw error;
+    }
+
+    const syntax = PLACEHOLDER_SYNTAXES.includes(included.syntax) ? included.syntax : this.syntax;
+    return this.tokenize(included.content, syntax, chain);
+  }
+
+  // Token starting at `index`, or null when the character there is plain text
+  readToken(content, index, syntax) {
+    const char = content[index];
+    const previous = content[index - 1] || '';
+
+    if (content.startsWith('{{', index)) {
+      const end = this.findClosing(content, index, '{', '}');
+      if (end !== -1 && content[end - 1] === '}') {
+        const raw = content.slice(index, end + 1);
+        const body = raw.slice(2, -2).trim();
+        if (CONTEXT_VARIABLES.includes(body)) {
+          return { kind: 'context', name: body, raw };
+        }
+        const page = PromptTemplate.parsePageVariable(body);
+        if (page) {
+          return { kind: 'context', name: page.name, raw, selector: page.selector, attribute: page.attribute };
+        }
+        if (body === 'cursor') {
+          return { kind: 'cursor', raw };
+        }
+        if (body.startsWith('>') && body.slice(1).trim()) {
+          return { kind: 'include', name: body.slice(1).trim(), raw };
+        }
+        const block = body.match(/^(#if\s+(\S.*)|else|\/if)$/);
+        if (block) {
+          const tag = block[1].startsWith('#') ? 'if' : block[1].replace('/', 'end');
+          return { kind: 'block', tag, name: block[2] ? block[2].trim() : null, raw };
+        }
+        if (syntax === 'double-braces') {
+          return this.createPlaceholder(raw, body, 'double');
+        }
+      }
+      // Not a directive; the first brace may still start a {name} placeholder below
+    }
+
+    if (char === '{' && (syntax === 'mixed' || syntax === 'braces') && previous !== '$') {
+      const end = this.findClosing(content, index, '{', '}');
+      if (end !== -1) {
+        const raw = content.slice(index, end + 1);
+        return this.createPlaceholder(raw, raw.slice(1, -1), 'brace');
+      }
+    }
+
+    // A bracket right after a word character is indexing, one followed by "(" is a Markdown link
+    if (char === '[' && (syntax === 'mixed' || syntax === 'brackets') && !/[\p{L}\p{N}_)\]]/u.test(previous)) {
+      const end = this.findClosing(content, index, '[', ']');
+      if (end !== -1 && content[end + 1] !== '(') {
+        const raw = content.slice(index, end + 1);
+        return this.createPlaceholder(raw, raw.slice(1, -1), 'bracket');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Several templates as one, with `separator` as plain text between them, so several
+   * prompts can be filled in and inserted together. Fields sharing a name become one field.
+   * @param {PromptTemplate[]} templates - Templates in insertion order
+   * @param {string} separator - Text put between them
+   * @returns {PromptTemplate}
+   */
+  static join(templates, separator = '') {
+    const joined = new PromptTemplate('', { syntax: templates[0]?.syntax });
+    joined.content = templates.map(template => template.content).join(separator);
+    joined.tokens = templates.flatMap((template, index) => (
+      index > 0 && separator ? [{ kind: 'text', value: separator }, ...template.tokens] : template.tokens
+    ));
+    return joined;
+  }
+
+  /**
+   * Parse a page extract variable: "page:" followed by a CSS selector and optionally
+   * "@attribute" to read an attribute instead of the text
+   * @param {string} name - e.g. "page:meta[name=description]@content"
+   * @returns {{name: string, selector: string, attribute: string}|null}
+   */
+  static parsePageVariable(name) {
+    const match = name.match(/^page:\s*(.+?)(?:@([\w:-]+))?\s*$/);
+    if (!match) {
+      return null;
+    }
+    const selector = match[1].trim();
+    const attribute = match[2] || '';
+    return { name: `page:${selector}${attribute ? `@${attribute}` : ''}`, selector, attribute };
+  }
+
+  // Index of the delimiter closing the one at `index`, counting nested pairs on the same line; -1 if none
+  findClosing(content, index, open, close) {
+    let depth = 0;
+    for (let i = index; i < content.length && content[i] !== '\n'; i++) {
+      if (content[i] === '\\') {
+        i++;
+      } else if (content[i] === open) {
+        depth++;
+      } else if (content[i] === close && --depth === 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Placeholder token for `body` ("name", "name|transforms", ":spec" and/or ":rules"), or null when it doesn't look like one
+  createPlaceholder(raw, body, syntax) {
+    // Only a validation pattern may contain brackets and braces
+    const rulesStart = body.search(/:(?:pattern|minlength|maxlength)=/);
+    const head = rulesStart === -1 ? body : body.slice(0, rulesStart);
+    if (body.includes('\n') || /[{}[\]]/.test(head)) {
+      return null;
+    }
+
+    let name = head.match(/^[^|:]*/)[0];
+    let rest = head.slice(name.length);
+    // Single brackets around a spaced name are code, e.g. `{ b }` destructuring; `{{ name }}` is fine
+    if (syntax !== 'double' && /^\s|\s[?!]?$/.test(name)) {
+      return null;
+    }
+    name = name.trim();
+    const optional = name.endsWith('?');
+    const required = name.endsWith('!');
+    if (optional || required) {
+      name = name.slice(0, -1).trim();
+    }
+    if (!PLACEHOLDER_NAME_REGEX.test(name)) {
+      return null;
+    }
+
+    // An unknown transform means this is not a placeholder, e.g. {a|b} in code
+    const transforms = [];
+    while (rest.startsWith('|')) {
+      const step = rest.match(/^\|\s*([a-z]+)(?::(\d+))?\s*(?=\||:|$)/);
+      if (!step || !PLACEHOLDER_TRANSFORMS.includes(step[1]) || (step[2] && step[1] !== 'indent')) {
+        return null;
+      }
+      transforms.push({ name: step[1], argument: step[2] || '' });
+      rest = rest.slice(step[0].length);
+    }
+
+    const spec = rest.startsWith(':') ? rest.slice(1) : '';
+    const rules = this.parseRules(rulesStart === -1 ? '' : body.slice(rulesStart + 1));
+    return { kind: 'placeholder', name, syntax, raw, optional, required, rules, transforms, ...this.parseSpec(spec) };
+  }
+
+  /**
+   * Parse validation rules after the spec: `minlength=N` and `maxlength=N` separated by
+   * colons, and `pattern=regex`, which must come last since the pattern runs to the end.
+   * @param {string} text - e.g. "maxlength=20:pattern=[A-Z]+-\d+"
+   * @returns {{pattern: string, minLength: number, maxLength: number}}
+   */
+  parseRules(text) {
+    const rules = { pattern: '', minLength: 0, maxLength: 0 };
+    let rest = text;
+    let rule;
+    while ((rule = rest.match(/^(pattern|minlength|maxlength)=/))) {
+      rest = rest.slice(rule[0].length);
+      if (rule[1] === 'pattern') {
+        rules.pattern = rest;
+        break;
+      }
+      const length = rest.match(/^\d*/)[0];
+      rules[rule[1] === 'minlength' ? 'minLength' : 'maxLength'] = Number(length);
+      rest = rest.slice(length.length).replace(/^:/, '');
+    }
+    return rules;
+  }
+
+  /**
+   * Check a value against a placeholder's rules. Empty values only fail when required;
+   * the pattern must match the whole value, and an invalid pattern is not enforced.
+   * @param {Object} placeholder - Entry from getPlaceholders()
+   * @param {string} value - Value as entered
+   * @returns {string|null} Error message, or null when the value is acceptable
+   */
+  validate(placeholder, value) {
+    const { required, rules } = placeholder;
+    if (!value || !value.trim()) {
+      return required ? 'Required' : null;
+    }
+    if (rules.minLength && value.length < rules.minLength) {
+      return `Enter at least ${rules.minLength} characters`;
+    }
+    if (rules.maxLength && value.length > rules.maxLength) {
+      return `Enter at most ${rules.maxLength} characters`;
+    }
+    if (rules.pattern) {
+      let regex;
+      try {
+        regex = new RegExp(`^(?:${rules.pattern})$`);
+      } catch (error) {
+        return null;
+      }
+      if (!regex.test(value)) {
+        return `Must match ${rules.pattern}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply a placeholder token's transforms, left to right, to its filled value.
+   * `quote` and `bullets` produce Markdown: a blockquote and a list with one item per non-empty line.
+   * @param {string} value - Value as entered
+   * @param {Object} token - Placeholder token
+   * @returns {string}
+   */
+  transformValue(value, token) {
+    return (token.transforms || []).reduce((result, { name, argument }) => {
+      const lines = result.split('\n');
+      switch (name) {
+        case 'upper':
+          return result.toUpperCase();
+        case 'lower':
+          return result.toLowerCase();
+        case 'trim':
+          return result.trim();
+        case 'indent': {
+          const padding = ' '.repeat(argument ? Number(argument) : 2);
+          return lines.map(line => (line.trim() ? padding + line : line)).join('\n');
+        }
+        case 'quote':
+          return lines.map(line => (line.trim() ? `> ${line}` : '>')).join('\n');
+        case 'bullets':
+          // Lines that are already list items keep their text, not a second marker
+          return lines
+            .map(line => line.trim().replace(/^[-*•]\s+/, ''))
+            .filter(Boolean)
+            .map(line => `- ${line}`)
+            .join('\n');
+        default:
+          return result;
+      }
+    }, value);
+  }
+
+  /**
+   * Parse what follows the placeholder name. A leading type keyword picks the control:
+   * `select:a|b|c` (first choice is the default), `text[:default]` for multi-line text,
+   * `number[:default]` and `date[:YYYY-MM-DD]`. Anything else is a plain default value.
+   * @param {string} spec - Text after the first colon, '' when there is none
+   * @returns {{type: string, options: string[], defaultValue: string}}
+   */
+  parseSpec(spec) {
+    const [type, ...rest] = spec.split(':');
+    const argument = rest.join(':');
+
+    if (type === 'select') {
+      const options = argument.split('|').map(option => option.trim()).filter(Boolean);
+      return { type, options, defaultValue: options[0] || '' };
+    }
+    if (['text', 'number', 'date'].includes(type)) {
+      return { type, options: [], defaultValue: argument };
+    }
+    return { type: 'line', options: [], defaultValue: spec };
+  }
+
+  /**
+   * Unique placeholders in order of first appearance; the first occurrence defines
+   * the type, default value and validation. Names only used in {{#if name}} are plain text fields.
+   * @returns {Array<{name: string, type: string, options: string[], defaultValue: string, required: boolean, rules: Object, syntax: string, fullMatch: string}>}
+   */
+  getPlaceholders() {
+    const definitions = new Map();
+    this.tokens
+      .filter(token => token.kind === 'placeholder')
+      .forEach(token => definitions.has(token.name) || definitions.set(token.name, token));
+
+    const seen = new Set();
+    return this.tokens
+      .filter(token => (token.kind === 'placeholder' || (token.kind === 'block' && token.tag === 'if')) &&
+        !CONTEXT_VARIABLES.includes(token.name) && !PromptTemplate.parsePageVariable(token.name) &&
+        !seen.has(token.name) && seen.add(token.name))
+      .map(token => {
+        const { name, type, options, defaultValue, required = false, rules = this.parseRules(''), syntax, raw } =
+          definitions.get(token.name) || { ...token, ...this.parseSpec(''), syntax: 'block' };
+        return { name, type, options, defaultValue, required, rules, syntax, fullMatch: raw };
+      });
+  }
+
+  // Names of the context variables used (page extracts as "page:selector"), without duplicates
+  getContextVariables() {
+    return [...new Set(this.tokens.filter(token => token.kind === 'context').map(token => token.name))];
+  }
+
+  // Whether a {{cursor}} marker sets the caret position after insertion
+  hasCursor() {
+    return this.tokens.some(token => token.kind === 'cursor');
+  }
+
+  // Names of unexpanded includes (only present without resolveInclude), without duplicates
+  getIncludes() {
+    return [...new Set(this.tokens.filter(token => token.kind === 'include').map(token => token.name))];
+  }
+
+  /**
+   * Build output from the tokens. Each formatter receives a token and returns its text;
+   * by default text is kept, placeholders become '' and context variables, unexpanded
+   * includes, block tags and the cursor marker stay as written.
+   *
+   * With `isFilled`, the template is evaluated: {{#if}} blocks keep only the branch
+   * that applies, block tags disappear and lines with an empty optional placeholder are
+   * dropped. Without it every branch is rendered, which suits showing the template itself.
+   * @param {Object} formatters - Optional { text, placeholder, context, include, block, cursor } functions
+   *   and `isFilled(name)`, telling whether a placeholder or context variable has a value
+   * @returns {string}
+   */
+  render({
+    text = token => token.value,
+    placeholder = () => '',
+    context = token => token.raw,
+    include = token => token.raw,
+    block = token => token.line || token.raw,
+    cursor = token => token.raw,
+    isFilled = null
+  } = {}) {
+    const formatters = { text, placeholder, context, include, block, cursor };
+    if (!isFilled) {
+      return this.tokens.map(token => formatters[token.kind](token)).join('');
+    }
+
+    // Each open {{#if}} remembers whether its surroundings are shown and its own condition
+    const blocks = [];
+    let shown = true;
+    let output = '';
+
+    this.tokens.forEach(token => {
+      if (token.kind === 'block') {
+        if (token.tag === 'if') {
+          blocks.push({ parentShown: shown, condition: isFilled(token.name) });
+          shown = shown && blocks[blocks.length - 1].condition;
+        } else if (blocks.length > 0) {
+          const current = blocks[blocks.length - 1];
+          if (token.tag === 'else') {
+            shown = current.parentShown && !current.condition;
+          } else {
+            blocks.pop();
+            shown = current.parentShown;
+          }
+        } else {
+          // Stray {{else}} or {{/if}} outside any block
+          output += formatters.text({ kind: 'text', value: token.raw });
+        }
+      } else if (shown) {
+        const isDropped = token.kind === 'placeholder' && token.optional && !isFilled(token.name);
+        output += isDropped ? DROP_LINE_MARKER : formatters[token.kind](token);
+      }
+    });
+
+    if (!output.includes(DROP_LINE_MARKER)) {
+      return output;
+    }
+    return output.split('\n').filter(line => !line.includes(DROP_LINE_MARKER)).join('\n');
+  }
+}
@@ -47,6 +47,8 @@ cd firefox
 zip -r "../$XPI_NAME" \
     manifest.json \
     background.js \
+    template.js \
+    search.js \
     preact.min.js \
     content.js \
     content.css \
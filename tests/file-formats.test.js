@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { PromptFileFormats } = loadScripts(['options.js'], ['PromptFileFormats'], {
+  document: { addEventListener() {} }
+});
+
+const formats = new PromptFileFormats();
+
+const prompts = [
+  { name: '=HYPERLINK("http://example.com")', content: '+1 then -1\n@mention', tags: ['sum'] },
+  { name: "'=already quoted", content: "'plain apostrophe", tags: [] },
+  { name: 'Rules', content: 'Intro\n---\nname: not a header\n---\nOutro', tags: [] },
+  { name: 'Escaped', content: '\\---\n---', tags: [] }
+];
+
+test('CSV fields a spreadsheet would run as formulas are exported as text', () => {
+  const csv = formats.serialize('csv', { prompts });
+  const [, firstRow] = csv.split('\r\n');
+  assert.ok(firstRow.startsWith(`"'=HYPERLINK(`), firstRow);
+  assert.match(csv, /"'\+1 then -1\n@mention"/);
+});
+
+test('CSV keeps every field through a round trip', () => {
+  const parsed = plain(formats.parse('csv', formats.serialize('csv', { prompts })).prompts);
+  parsed.forEach((prompt, i) => {
+    assert.strictEqual(prompt.name, prompts[i].name);
+    assert.strictEqual(prompt.content, prompts[i].content);
+  });
+});
+
+test('Markdown content with --- lines stays inside its prompt', () => {
+  const parsed = plain(formats.parse('markdown', formats.serialize('markdown', { prompts })).prompts);
+  assert.deepStrictEqual(parsed.map(prompt => prompt.name), prompts.map(prompt => prompt.name));
+  parsed.forEach((prompt, i) => assert.strictEqual(prompt.content, prompts[i].content));
+});
+
+test('Markdown front matter may use any key order, block lists and tag strings', () => {
+  const text = [
+    '---',
+    'name: First',
+    'tags:',
+    '  - a',
+    '  - b',
+    '---',
+    'One',
+    '',
+    '---',
+    'tags: review, code',
+    'name: Second',
+    'pinned: true',
+    '---',
+    'Two',
+    '---',
+    'not: front matter',
+    '---',
+    'Still two',
+    ''
+  ].join('\n');
+
+  const parsed = plain(formats.parse('markdown', text).prompts);
+  assert.deepStrictEqual(parsed.map(prompt => prompt.name), ['First', 'Second']);
+  assert.deepStrictEqual(parsed[0].tags, ['a', 'b']);
+  assert.strictEqual(parsed[0].content, 'One');
+  assert.deepStrictEqual(parsed[1].tags, ['review', ' code']);
+  assert.strictEqual(parsed[1].pinned, true);
+  assert.strictEqual(parsed[1].content, 'Two\n---\nnot: front matter\n---\nStill two');
+});
+
+test('Markdown without a named front matter block is rejected', () => {
+  assert.throws(() => formats.parse('markdown', '---\ntitle: x\n---\nText\n'), /No prompts with front matter/);
+});
+
+test('YAML tags may be one comma separated string', () => {
+  const parsed = plain(formats.parse('yaml', 'prompts:\n  - name: A\n    content: B\n    tags: review, code\n').prompts);
+  assert.deepStrictEqual(parsed[0].tags, ['review', ' code']);
+});
@@ -0,0 +1,63 @@
+// Loads extension scripts the way the browser does: as classic scripts sharing one global scope
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'firefox');
+
+/**
+ * Run extension scripts in a fresh context and return the named top-level bindings
+ * @param {string[]} files - Scripts in load order, relative to firefox/
+ * @param {string[]} names - Classes and constants to hand back
+ * @param {Object} globals - Extra globals, e.g. a `browser` stub
+ * @returns {Object} The requested bindings by name
+ */
+function loadScripts(files, names, globals = {}) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, TextEncoder, ...globals });
+  files.forEach(file => {
+    const filename = path.join(EXTENSION_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+// Storage areas kept in memory, and the other APIs background.js registers with at load
+function createBrowserStub() {
+  const createArea = () => {
+    const data = {};
+    const copy = value => JSON.parse(JSON.stringify(value));
+    return {
+      async get(keys) {
+        if (keys === null) return copy(data);
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+          if (key in data) result[key] = copy(data[key]);
+        });
+        return result;
+      },
+      async set(items) {
+        Object.assign(data, copy(items));
+      },
+      async remove(keys) {
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => delete data[key]);
+      }
+    };
+  };
+  const listener = { addListener() {} };
+
+  return {
+    storage: { sync: createArea(), local: createArea() },
+    commands: { onCommand: listener },
+    contextMenus: { create() {}, onClicked: listener },
+    runtime: { onMessage: listener },
+    tabs: { query: async () => [] }
+  };
+}
+
+// Values from the scripts' context have its own Array and Object prototypes, which
+// assert.deepStrictEqual tells apart; compare plain copies instead
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, createBrowserStub, plain };
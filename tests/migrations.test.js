@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createBrowserStub, plain } = require('./load-scripts');
+
+const { promptManager, SCHEMA_VERSION } = loadScripts(
+  ['template.js', 'background.js'],
+  ['promptManager', 'SCHEMA_VERSION'],
+  { browser: createBrowserStub() }
+);
+
+// Settings added by each schema version: a non-default value stored data may carry, and
+// the default a migration fills in
+const SETTING_VERSIONS = [
+  { version: 3, stored: { promptSortOrder: 'manual', trashRetentionDays: 7 }, defaults: { promptSortOrder: 'frecency', trashRetentionDays: 30 } },
+  { version: 4, stored: { placeholderSyntax: 'double' }, defaults: { placeholderSyntax: 'mixed' } },
+  { version: 5, stored: { placeholderHistory: 'site' }, defaults: { placeholderHistory: 'global' } },
+  { version: 6, stored: { placeholderMode: 'inline' }, defaults: { placeholderMode: 'form' } },
+  { version: 7, stored: { pageContentMaxLength: 500 }, defaults: { pageContentMaxLength: 2000 } },
+  { version: 8, stored: { previewPane: 'side' }, defaults: { previewPane: 'off' } },
+  { version: 9, stored: { multiPromptSeparator: '\n---\n' }, defaults: { multiPromptSeparator: '\n\n' } }
+];
+
+// The same for prompt fields
+const PROMPT_VERSIONS = [
+  { version: 2, stored: { tags: ['code'], pinned: true }, defaults: { tags: [], pinned: false } },
+  { version: 4, stored: { placeholderSyntax: 'brace' }, defaults: { placeholderSyntax: '' } },
+  { version: 6, stored: { placeholderMode: 'inline' }, defaults: { placeholderMode: '' } }
+];
+
+const BASE_PROMPT = { id: 'p1', name: 'Review', content: 'Check {{code}}', created: '2020-01-01T00:00:00.000Z' };
+
+// Valid settings as a version stored them, or as they should look after migrating from it
+function settingsAt(version, { migrated = false } = {}) {
+  const settings = { hotkey: 'Ctrl+Shift+K' };
+  const prompt = { ...BASE_PROMPT };
+  SETTING_VERSIONS.forEach(step => {
+    if (step.version <= version) Object.assign(settings, step.stored);
+    else if (migrated) Object.assign(settings, step.defaults);
+  });
+  PROMPT_VERSIONS.forEach(step => {
+    if (step.version <= version) Object.assign(prompt, step.stored);
+    else if (migrated) Object.assign(prompt, step.defaults);
+  });
+  if (version > 0) settings.schemaVersion = version;
+  return { ...settings, prompts: [prompt] };
+}
+
+function assertFields(actual, expected, label) {
+  assert.deepStrictEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${label}: fields`);
+  Object.keys(expected).forEach(key => {
+    assert.deepStrictEqual(actual[key], expected[key], `${label}: ${key}`);
+  });
+}
+
+test('settings from every older version migrate to the current shape', () => {
+  assert.strictEqual(SCHEMA_VERSION, 9);
+  for (let version = 0; version < SCHEMA_VERSION; version++) {
+    const migrated = plain(promptManager.migrateSettings(settingsAt(version)));
+    const { prompts: [prompt], ...settings } = migrated;
+    const { prompts: [expectedPrompt], ...expectedSettings } = settingsAt(version, { migrated: true });
+
+    assertFields(settings, { ...expectedSettings, schemaVersion: SCHEMA_VERSION }, `from v${version}`);
+    assertFields(prompt, expectedPrompt, `prompt from v${version}`);
+  }
+});
+
+test('settings without a schemaVersion are normalized by every step', () => {
+  const migrated = plain(promptManager.migrateSettings({
+    promptSortOrder: 'random',
+    trashRetentionDays: -1,
+    placeholderSyntax: 'angle',
+    pageContentMaxLength: 'lots',
+    previewPane: 'top',
+    multiPromptSeparator: 3,
+    prompts: [{ name: 'Old', content: 'Text', tags: ['#Code Review', ' code-review ', 5, ''], pinned: 'yes', placeholderSyntax: 'angle' }]
+  }));
+
+  assert.strictEqual(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(migrated.promptSortOrder, 'frecency');
+  assert.strictEqual(migrated.trashRetentionDays, 30);
+  assert.strictEqual(migrated.placeholderSyntax, 'mixed');
+  assert.strictEqual(migrated.pageContentMaxLength, 2000);
+  assert.strictEqual(migrated.previewPane, 'off');
+  assert.strictEqual(migrated.multiPromptSeparator, '\n\n');
+
+  const [prompt] = migrated.prompts;
+  assert.ok(typeof prompt.id === 'string' && prompt.id.length > 0);
+  assert.ok(!Number.isNaN(Date.parse(prompt.created)));
+  assert.deepStrictEqual(prompt.tags, ['code-review']);
+  assert.strictEqual(prompt.pinned, true);
+  assert.strictEqual(prompt.placeholderSyntax, '');
+  assert.strictEqual(prompt.placeholderMode, '');
+});
+
+test('missing or malformed prompts are dropped whatever the version', () => {
+  [undefined, 1, SCHEMA_VERSION].forEach(schemaVersion => {
+    assert.deepStrictEqual(plain(promptManager.migrateSettings({ schemaVersion }).prompts), [], `no prompts, v${schemaVersion}`);
+    assert.deepStrictEqual(plain(promptManager.migrateSettings({ schemaVersion, prompts: 'oops' }).prompts), [], `not an array, v${schemaVersion}`);
+
+    const { prompts } = promptManager.migrateSettings({
+      schemaVersion,
+      prompts: [null, 5, { name: 'No content' }, { content: 'No name' }, { name: 1, content: 'Number' }, { ...BASE_PROMPT }]
+    });
+    assert.deepStrictEqual(plain(prompts.map(prompt => prompt.name)), ['Review'], `bad entries, v${schemaVersion}`);
+  });
+});
+
+test('imported prompts are normalized even when the file claims the current version', () => {
+  const [prompt] = plain(promptManager.getImportedPrompts({
+    schemaVersion: SCHEMA_VERSION,
+    prompts: [{ name: 'Imported', content: 'Text', tags: '#not-a-list', pinned: 1, placeholderSyntax: 'angle', placeholderMode: 'popup' }, { name: 5 }]
+  }));
+  assert.deepStrictEqual(prompt.tags, []);
+  assert.strictEqual(prompt.pinned, true);
+  assert.strictEqual(prompt.placeholderSyntax, '');
+  assert.strictEqual(prompt.placeholderMode, '');
+
+  assert.throws(() => promptManager.getImportedPrompts({ schemaVersion: 99, prompts: [{ name: 5 }] }), /No valid prompts/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createBrowserStub } = require('./load-scripts');
+
+const { promptManager } = loadScripts(['template.js', 'background.js'], ['promptManager'], { browser: createBrowserStub() });
+
+// Messages are applied one at a time through the mutation queue, after storage setup
+const run = operation => promptManager.mutate(operation);
+
+test('prompt edits are checked against that prompt\'s revision only', async () => {
+  const first = await run(() => promptManager.addPrompt({ name: 'First', content: 'One' }));
+  const second = await run(() => promptManager.addPrompt({ name: 'Second', content: 'Two' }));
+
+  // Another window edits the second prompt and pins the first
+  await run(() => promptManager.updatePrompt(second.id, { content: 'Two, edited' }, 0));
+  const pinned = await run(() => promptManager.updatePrompt(first.id, { pinned: true }));
+  assert.strictEqual(pinned.revision, 0);
+
+  const edited = await run(() => promptManager.updatePrompt(first.id, { content: 'One, edited' }, 0));
+  assert.strictEqual(edited.revision, 1);
+  assert.strictEqual(edited.pinned, true);
+
+  await assert.rejects(
+    run(() => promptManager.updatePrompt(first.id, { content: 'One, stale' }, 0)),
+    error => error.code === 'STALE_REVISION'
+  );
+});
+
+test('settings revisions change only with settings', async () => {
+  const { revision = 0 } = await promptManager.getSettings();
+  await run(() => promptManager.addPrompt({ name: 'Third', content: 'Three' }));
+
+  const saved = await run(() => promptManager.updateSettings({ hotkey: 'Ctrl+Shift+K' }, revision));
+  assert.strictEqual(saved.revision, revision + 1);
+
+  await assert.rejects(
+    run(() => promptManager.updateSettings({ hotkey: 'Ctrl+Shift+J' }, revision)),
+    error => error.code === 'STALE_REVISION'
+  );
+});
+
+test('imports reject an unknown conflict strategy', async () => {
+  const before = await promptManager.getSettings();
+  await assert.rejects(
+    run(() => promptManager.importPrompts({ prompts: [{ name: 'First', content: 'Other' }] }, 'merge')),
+    error => error.code === 'INVALID_STRATEGY'
+  );
+  const after = await promptManager.getSettings();
+  assert.strictEqual(after.prompts.length, before.prompts.length);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { PromptSearch, PromptSearchIndex } = loadScripts(['search.js'], ['PromptSearch', 'PromptSearchIndex']);
+
+const prompts = [
+  { id: '1', name: 'Summarize article', content: 'Summarize the following text in three bullet points.', tags: ['writing'] },
+  { id: '2', name: 'Code review', content: 'Review this code for bugs. Focus on security.', tags: ['code', 'review'] },
+  { id: '3', name: 'Translate', content: 'Translate to French, then preview the result.', tags: ['language'] },
+  { id: '4', name: 'C++ tips', content: 'Explain this C++ snippet; compare with abc++ notes.', tags: [] }
+];
+
+function ids(results) {
+  return plain(results.map(result => result.prompt.id));
+}
+
+function indexOf(list) {
+  const index = new PromptSearchIndex();
+  index.update(list);
+  return index;
+}
+
+test('words match in any order, names also as abbreviations', () => {
+  const search = new PromptSearch();
+  assert.deepStrictEqual(ids(search.search(prompts, 'sumrz')), ['1']);
+  assert.deepStrictEqual(ids(search.search(prompts, 'code rev')), ['2']);
+  assert.deepStrictEqual(ids(search.search(prompts, 'rev code')), ['2']);
+  assert.deepStrictEqual(ids(search.search(prompts, '')), ['1', '2', '3', '4']);
+});
+
+test('content matches at the start of its words', () => {
+  const index = indexOf(prompts);
+  assert.deepStrictEqual(ids(index.find('bullet')), ['1']);
+  assert.deepStrictEqual(ids(index.find('follow')), ['1']);
+  assert.deepStrictEqual(ids(index.find('prev')), ['3']);
+
+  const [result] = index.find('secur');
+  assert.deepStrictEqual(plain(result.ranges.content), [[36, 41]]);
+});
+
+test('content also matches inside words, ranked below word starts', () => {
+  const index = indexOf([
+    { id: 'inside', name: 'Tests', content: 'Write JavaScript tests.', tags: [] },
+    { id: 'start', name: 'Runner', content: 'A script to run.', tags: [] }
+  ]);
+  const results = index.find('script');
+  assert.deepStrictEqual(ids(results), ['inside', 'start']);
+  assert.ok(results[1].score > results[0].score);
+  assert.deepStrictEqual(plain(results[0].ranges.content), [[10, 16]]);
+
+  // Single characters are too common to look for inside words
+  assert.deepStrictEqual(ids(index.find('v')), []);
+});
+
+test('words with punctuation match where they start a word', () => {
+  const index = indexOf(prompts.filter(prompt => prompt.id !== '4').concat({
+    id: '5', name: 'Notes', content: 'See abc++ and c++ code.', tags: []
+  }));
+  const [result] = index.find('c++');
+  assert.strictEqual(result.prompt.id, '5');
+  assert.deepStrictEqual(plain(result.ranges.content), [[14, 17]]);
+  assert.deepStrictEqual(ids(index.find('french,')), ['3']);
+});
+
+test('tags filter by prefix', () => {
+  const index = indexOf(prompts);
+  assert.deepStrictEqual(ids(index.find('', ['rev'])), ['2']);
+  assert.deepStrictEqual(ids(index.find('translate', ['lang'])), ['3']);
+  assert.deepStrictEqual(ids(index.find('translate', ['code'])), []);
+});
+
+test('narrowing the previous query gives the same results as a fresh search', () => {
+  const index = indexOf(prompts);
+  ['t', 'th', 'the', 'the ', 'the r', 'the re', 'the res', 's', 'su', 'o', 'oi', 'oin'].forEach(query => {
+    assert.deepStrictEqual(index.find(query), indexOf(prompts).find(query), query);
+  });
+});
+
+test('updates re-index only changed prompts', () => {
+  const index = indexOf(prompts);
+  assert.strictEqual(index.update(prompts.map(prompt => ({ ...prompt, pinned: true }))), 0);
+
+  const edited = prompts.map(prompt => prompt.id === '1' ? { ...prompt, content: 'Shorten this text.' } : prompt);
+  assert.strictEqual(index.update(edited), 1);
+  assert.deepStrictEqual(ids(index.find('bullet')), []);
+  assert.deepStrictEqual(ids(index.find('shorten')), ['1']);
+
+  index.update(edited.filter(prompt => prompt.id !== '2'));
+  assert.deepStrictEqual(ids(index.find('security')), []);
+  assert.strictEqual(index.postings.has('security'), false);
+});
+
+// Deterministic library: 300 words per prompt, drawn Zipf-like from 3,000 made-up words
+// with a few real ones mixed in
+function createLibrary() {
+  let seed = 1;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const syllables = ['ka', 'lo', 'mi', 'ne', 'ru', 'sa', 'ti', 'vo', 'pe', 'da', 'gu', 'ho', 'ji', 'fe', 'bo', 'zu'];
+  const vocabulary = [];
+  for (let i = 0; i < 3000; i++) {
+    let word = '';
+    for (let length = 2 + Math.floor(random() * 3); length > 0; length--) {
+      word += syllables[Math.floor(random() * syllables.length)];
+    }
+    vocabulary.push(word);
+  }
+  ['the', 'and', 'code', 'review', 'summarize', 'security', 'performance', 'explain'].forEach((word, i) => {
+    vocabulary.splice(i * 40, 0, word);
+  });
+  const cumulative = [];
+  let total = 0;
+  vocabulary.forEach((word, rank) => cumulative.push(total += 1 / (rank + 1)));
+  const pick = () => {
+    const target = random() * total;
+    return vocabulary[cumulative.findIndex(sum => sum >= target)];
+  };
+
+  const library = [];
+  for (let i = 0; i < 3000; i++) {
+    const words = [];
+    for (let j = 0; j < 300; j++) {
+      words.push(pick());
+    }
+    library.push({ id: String(i), name: `${pick()} ${pick()} ${i}`, content: words.join(' '), tags: [] });
+  }
+  return library;
+}
+
+test('only prompts containing a word inside their words have their content scanned', () => {
+  const library = createLibrary().slice(0, 500);
+  const index = indexOf(library);
+
+  // Count substring scans of prompt content
+  const contents = new Set(index.entries.map(entry => entry.contentLower));
+  let scans = 0;
+  const matchText = index.search.matchText;
+  index.search.matchText = function (text, ...rest) {
+    if (contents.has(text)) scans++;
+    return matchText.call(this, text, ...rest);
+  };
+
+  ['zzzz', 'code', 'review', 'kalo', 'sami'].forEach(word => {
+    scans = 0;
+    index.lastFind = null;
+    index.find(word);
+    const insideOnly = library.filter(prompt => {
+      const text = prompt.content.toLowerCase();
+      return text.includes(word) && !new RegExp(`(^|[^a-z])${word}`).test(text);
+    });
+    assert.ok(scans <= insideOnly.length, `"${word}" scanned ${scans} prompts, ${insideOnly.length} contain it inside a word`);
+  });
+});
+
+// Timing depends on the machine, so it only runs when asked for: SEARCH_BENCHMARK=1 node --test tests/
+test('finds within 10 ms in a library of 3,000 long prompts', { skip: !process.env.SEARCH_BENCHMARK }, () => {
+  const index = indexOf(createLibrary());
+  ['code rev', 'rvw', 's', 'sum', 'script', 'performance explain'].forEach(query => {
+    const times = [];
+    for (let run = 0; run < 25; run++) {
+      index.lastFind = null; // Measure full searches, not narrowing
+      const start = performance.now();
+      index.find(query);
+      times.push(performance.now() - start);
+    }
+    // The first runs warm up the JIT and collect the indexing garbage
+    const median = times.slice(10).sort((a, b) => a - b)[7];
+    assert.ok(median < 10, `"${query}" took ${median.toFixed(2)} ms`);
+  });
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { PromptTemplate } = loadScripts(['template.js'], ['PromptTemplate']);
+
+function names(template) {
+  return plain(template.getPlaceholders().map(placeholder => placeholder.name));
+}
+
+// Evaluate a template the way insertion does: placeholders from `values`, context variables from `context`
+function fill(template, values = {}, context = {}) {
+  return template.render({
+    placeholder: token => template.transformValue(values[token.name] || token.defaultValue || '', token),
+    context: token => context[token.name] || '',
+    isFilled: name => Boolean(values[name] || context[name])
+  });
+}
+
+test('each syntax picks its own delimiters', () => {
+  const content = 'A {brace} [bracket] {{double}}';
+  assert.deepStrictEqual(names(new PromptTemplate(content, { syntax: 'brackets' })), ['bracket']);
+  assert.deepStrictEqual(names(new PromptTemplate(content, { syntax: 'double-braces' })), ['double']);
+  // Single braces also find the inner pair of an unknown {{name}}
+  assert.deepStrictEqual(names(new PromptTemplate(content, { syntax: 'braces' })), ['brace', 'double']);
+  assert.deepStrictEqual(names(new PromptTemplate(content, { syntax: 'mixed' })), ['brace', 'bracket', 'double']);
+  assert.deepStrictEqual(names(new PromptTemplate(content, { syntax: 'unknown' })), ['brace', 'bracket', 'double']);
+});
+
+test('the none syntax inserts everything as written', () => {
+  const content = '<title>{{ title }}</title>\n{{#if user}}Hi{{/if}}\n{{> header}} {name} \\{x} {{cursor}}';
+  const template = new PromptTemplate(content, { syntax: 'none', resolveInclude: () => null });
+  assert.deepStrictEqual(names(template), []);
+  assert.deepStrictEqual(plain(template.getContextVariables()), []);
+  assert.strictEqual(template.hasCursor(), false);
+  assert.strictEqual(fill(template, {}, { title: 'Page' }), content);
+});
+
+test('escapes and code samples stay literal', () => {
+  const template = new PromptTemplate('\\{name} \\[x] items[0] [link](http://x) ${foo} {"a": 1} { b } {a|b} {real}');
+  assert.deepStrictEqual(names(template), ['real']);
+  assert.strictEqual(fill(template, { real: 'R' }), '{name} [x] items[0] [link](http://x) ${foo} {"a": 1} { b } {a|b} R');
+});
+
+test('specs set the field type and default', () => {
+  const template = new PromptTemplate('{plain} {greeting:Hello} {tone:select:formal|casual} {body:text:Hi} {count:number:3} {due:date} {{ spaced }}', {
+    syntax: 'mixed'
+  });
+  const fields = plain(template.getPlaceholders().map(({ name, type, options, defaultValue }) => ({ name, type, options, defaultValue })));
+  assert.deepStrictEqual(fields, [
+    { name: 'plain', type: 'line', options: [], defaultValue: '' },
+    { name: 'greeting', type: 'line', options: [], defaultValue: 'Hello' },
+    { name: 'tone', type: 'select', options: ['formal', 'casual'], defaultValue: 'formal' },
+    { name: 'body', type: 'text', options: [], defaultValue: 'Hi' },
+    { name: 'count', type: 'number', options: [], defaultValue: '3' },
+    { name: 'due', type: 'date', options: [], defaultValue: '' }
+  ]);
+  assert.deepStrictEqual(names(new PromptTemplate('{{ spaced }}', { syntax: 'double-braces' })), ['spaced']);
+});
+
+test('placeholders are listed once, in order of first appearance', () => {
+  const template = new PromptTemplate('{b:first} [a] {b:second} {{#if c}}x{{/if}} {{url}} {{page:#main}}');
+  const placeholders = plain(template.getPlaceholders());
+  assert.deepStrictEqual(placeholders.map(placeholder => placeholder.name), ['b', 'a', 'c']);
+  assert.strictEqual(placeholders[0].defaultValue, 'first');
+  assert.strictEqual(placeholders[2].syntax, 'block');
+  assert.deepStrictEqual(plain(template.getContextVariables()), ['url', 'page:#main']);
+});
+
+test('includes expand recursively and report missing prompts and cycles', () => {
+  const library = {
+    greeting: { content: 'Hello {name}', syntax: 'braces' },
+    outer: { content: 'Start {{> greeting}} [topic]', syntax: 'mixed' },
+    loop: { content: 'again {{> Loop}}' }
+  };
+  const resolveInclude = name => library[name.toLowerCase()] || null;
+
+  const template = new PromptTemplate('{{> Outer}} end', { resolveInclude });
+  assert.deepStrictEqual(names(template), ['name', 'topic']);
+  assert.strictEqual(fill(template, { name: 'Ann', topic: 'T' }), 'Start Hello Ann T end');
+
+  assert.deepStrictEqual(plain(new PromptTemplate('{{> Outer}}').getIncludes()), ['Outer']);
+  assert.throws(() => new PromptTemplate('{{> Nope}}', { resolveInclude }), error => error.code === 'INCLUDE_MISSING');
+  assert.throws(() => new PromptTemplate('{{> loop}}', { resolveInclude }), error => error.code === 'INCLUDE_CYCLE');
+});
+
+test('conditional blocks and optional lines follow the filled values', () => {
+  const template = new PromptTemplate([
+    'Task: {task}',
+    '{{#if constraints}}',
+    'Constraints: {constraints}',
+    '{{else}}',
+    'No constraints.',
+    '{{/if}}',
+    'Deadline: {due?}',
+    'Done.'
+  ].join('\n'));
+
+  assert.strictEqual(fill(template, { task: 'T' }), 'Task: T\nNo constraints.\nDone.');
+  assert.strictEqual(fill(template, { task: 'T', constraints: 'C', due: 'Friday' }), 'Task: T\nConstraints: C\nDeadline: Friday\nDone.');
+});
+
+test('transforms apply left to right', () => {
+  const template = new PromptTemplate('{name|trim|upper}|{code|indent:4:text}|{steps|bullets}|{note|quote}');
+  const values = { name: '  bob ', code: 'a\n\nb', steps: 'one\n- two\n\nthree', note: 'hi\n\nyo' };
+  assert.strictEqual(fill(template, values), 'BOB|    a\n\n    b|- one\n- two\n- three|> hi\n>\n> yo');
+});
+
+test('rules validate values', () => {
+  const template = new PromptTemplate('{ticket!:pattern=[A-Z]+-\\d+} {id:text:minlength=2:maxlength=4} {free}');
+  const [ticket, id, free] = template.getPlaceholders();
+  assert.strictEqual(template.validate(ticket, ''), 'Required');
+  assert.strictEqual(template.validate(ticket, 'abc'), 'Must match [A-Z]+-\\d+');
+  assert.strictEqual(template.validate(ticket, 'AB-12'), null);
+  assert.strictEqual(template.validate(id, 'a'), 'Enter at least 2 characters');
+  assert.strictEqual(template.validate(id, 'abcde'), 'Enter at most 4 characters');
+  assert.strictEqual(template.validate(id, ''), null);
+  assert.strictEqual(template.validate(free, 'anything'), null);
+});